@@ -5,17 +5,91 @@
  * @license Use it if you like it
  */
 (function (global) {
-function RGBColor(color_string)
+// matches a css number or percentage
+var number_re = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?%?$/;
+
+// parses a color channel, which is either a number or a percentage of max ("none" is zero). Returns NaN if invalid
+function parseChannel(value, max)
+{
+  if (value == 'none') {
+    return 0;
+  }
+  if (!number_re.test(value)) {
+    return NaN;
+  }
+  return value.charAt(value.length - 1) == '%' ? parseFloat(value) * max / 100 : parseFloat(value);
+}
+
+// parses a hue angle in degrees, which may also be given in rad, grad or turn
+function parseHue(value)
+{
+  var bits = /^(.*?)(deg|grad|rad|turn)?$/.exec(value);
+  var hue = bits[1] == 'none' ? 0 : number_re.test(bits[1]) && bits[1].indexOf('%') < 0 ? parseFloat(bits[1]) : NaN;
+  switch (bits[2]) {
+    case 'grad': return hue * 0.9;
+    case 'rad': return hue * 180 / Math.PI;
+    case 'turn': return hue * 360;
+    default: return hue;
+  }
+}
+
+// splits the arguments of a color function either in the legacy comma separated syntax ("1, 2, 3, 0.5") or in the
+// space separated syntax ("1 2 3 / 0.5") and returns the three channels and the alpha value (or null if invalid)
+function splitArguments(args)
+{
+  var parts = args.split(',');
+  if (parts.length == 1) {
+    var slash = args.split('/');
+    parts = slash[0].replace(/^\s+|\s+$/g, '').split(/\s+/);
+    if (slash.length > 2 || parts.length != 3) {
+      return null;
+    }
+    slash.length == 2 && parts.push(slash[1]);
+  }
+  if (parts.length < 3 || parts.length > 4) {
+    return null;
+  }
+  for (var i = 0; i < parts.length; i++) {
+    parts[i] = parts[i].replace(/^\s+|\s+$/g, '');
+  }
+  // the alpha value is a number or a percentage of 1
+  parts[3] = parts.length == 4 ? parseChannel(parts[3], 1) : 1;
+  return parts;
+}
+
+// converts hsl (hue in degrees, saturation and lightness in [0, 1]) to rgb channels in [0, 255]
+function hslToRgb(hue, saturation, lightness)
+{
+  hue = (hue % 360 + 360) % 360;
+  var f = function (n) {
+    var k = (n + hue / 30) % 12;
+    var a = saturation * Math.min(lightness, 1 - lightness);
+    return 255 * (lightness - a * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+  };
+  return [f(0), f(8), f(4)];
+}
+
+function RGBColor(color_string, current_color)
 {
   this.ok = false;
+  this.a = 1;
+
+  color_string = color_string.replace(/^\s+|\s+$/g, '').toLowerCase();
+
+  // currentColor refers to the value of the css color property, which is given by the caller
+  if (color_string == 'currentcolor') {
+    color_string = (current_color || '').replace(/^\s+|\s+$/g, '').toLowerCase();
+  }
 
   // strip any leading #
   if (color_string.charAt(0) == '#') { // remove # if any
-    color_string = color_string.substr(1,6);
+    color_string = color_string.substr(1);
   }
 
-  color_string = color_string.replace(/ /g,'');
-  color_string = color_string.toLowerCase();
+  // fully transparent black
+  if (color_string == 'transparent') {
+    color_string = '00000000';
+  }
 
   // before getting into regexps, try simple matches
   // and overwrite the input
@@ -45,6 +119,7 @@ function RGBColor(color_string)
     darkcyan: '008b8b',
     darkgoldenrod: 'b8860b',
     darkgray: 'a9a9a9',
+    darkgrey: 'a9a9a9',
     darkgreen: '006400',
     darkkhaki: 'bdb76b',
     darkmagenta: '8b008b',
@@ -56,11 +131,13 @@ function RGBColor(color_string)
     darkseagreen: '8fbc8f',
     darkslateblue: '483d8b',
     darkslategray: '2f4f4f',
+    darkslategrey: '2f4f4f',
     darkturquoise: '00ced1',
     darkviolet: '9400d3',
     deeppink: 'ff1493',
     deepskyblue: '00bfff',
     dimgray: '696969',
+    dimgrey: '696969',
     dodgerblue: '1e90ff',
     feldspar: 'd19275',
     firebrick: 'b22222',
@@ -72,6 +149,7 @@ function RGBColor(color_string)
     gold: 'ffd700',
     goldenrod: 'daa520',
     gray: '808080',
+    grey: '808080',
     green: '008000',
     greenyellow: 'adff2f',
     honeydew: 'f0fff0',
@@ -88,6 +166,7 @@ function RGBColor(color_string)
     lightcoral: 'f08080',
     lightcyan: 'e0ffff',
     lightgoldenrodyellow: 'fafad2',
+    lightgray: 'd3d3d3',
     lightgrey: 'd3d3d3',
     lightgreen: '90ee90',
     lightpink: 'ffb6c1',
@@ -96,6 +175,7 @@ function RGBColor(color_string)
     lightskyblue: '87cefa',
     lightslateblue: '8470ff',
     lightslategray: '778899',
+    lightslategrey: '778899',
     lightsteelblue: 'b0c4de',
     lightyellow: 'ffffe0',
     lime: '00ff00',
@@ -106,7 +186,7 @@ function RGBColor(color_string)
     mediumaquamarine: '66cdaa',
     mediumblue: '0000cd',
     mediumorchid: 'ba55d3',
-    mediumpurple: '9370d8',
+    mediumpurple: '9370db',
     mediumseagreen: '3cb371',
     mediumslateblue: '7b68ee',
     mediumspringgreen: '00fa9a',
@@ -127,7 +207,7 @@ function RGBColor(color_string)
     palegoldenrod: 'eee8aa',
     palegreen: '98fb98',
     paleturquoise: 'afeeee',
-    palevioletred: 'd87093',
+    palevioletred: 'db7093',
     papayawhip: 'ffefd5',
     peachpuff: 'ffdab9',
     peru: 'cd853f',
@@ -135,6 +215,7 @@ function RGBColor(color_string)
     plum: 'dda0dd',
     powderblue: 'b0e0e6',
     purple: '800080',
+    rebeccapurple: '663399',
     red: 'ff0000',
     rosybrown: 'bc8f8f',
     royalblue: '4169e1',
@@ -148,6 +229,7 @@ function RGBColor(color_string)
     skyblue: '87ceeb',
     slateblue: '6a5acd',
     slategray: '708090',
+    slategrey: '708090',
     snow: 'fffafa',
     springgreen: '00ff7f',
     steelblue: '4682b4',
@@ -174,35 +256,72 @@ function RGBColor(color_string)
   // array of color definition objects
   var color_defs = [
     {
-      re: /^rgb\((\d{1,3}),\s*(\d{1,3}),\s*(\d{1,3})\)$/,
-      example: ['rgb(123, 234, 45)', 'rgb(255,234,245)'],
+      re: /^rgba?\(([^\)]*)\)$/,
+      example: ['rgb(123, 234, 45)', 'rgb(255,234,245)', 'rgba(100%, 50%, 0%, 0.5)', 'rgb(0 128 255 / 50%)'],
       process: function (bits){
-        return [
-          parseInt(bits[1]),
-          parseInt(bits[2]),
-          parseInt(bits[3])
+        var args = splitArguments(bits[1]);
+        return args && [
+          parseChannel(args[0], 255),
+          parseChannel(args[1], 255),
+          parseChannel(args[2], 255),
+          args[3]
         ];
       }
     },
     {
-      re: /^(\w{2})(\w{2})(\w{2})$/,
-      example: ['#00ff00', '336699'],
+      re: /^hsla?\(([^\)]*)\)$/,
+      example: ['hsl(120, 100%, 25%)', 'hsla(240deg, 100%, 50%, 0.5)', 'hsl(0.5turn 50% 50% / 25%)'],
+      process: function (bits){
+        var args = splitArguments(bits[1]);
+        return args && hslToRgb(
+          parseHue(args[0]),
+          parseChannel(args[1], 100) / 100,
+          parseChannel(args[2], 100) / 100
+        ).concat([args[3]]);
+      }
+    },
+    {
+      re: /^hwb\(([^\)]*)\)$/,
+      example: ['hwb(120 20% 40%)', 'hwb(0 0% 0% / 0.5)'],
+      process: function (bits){
+        var args = splitArguments(bits[1]);
+        if (!args || bits[1].indexOf(',') >= 0) {
+          return null;
+        }
+        var whiteness = parseChannel(args[1], 100) / 100;
+        var blackness = parseChannel(args[2], 100) / 100;
+        if (whiteness + blackness >= 1) {
+          var gray = 255 * whiteness / (whiteness + blackness);
+          return [gray, gray, gray, args[3]];
+        }
+        var rgb = hslToRgb(parseHue(args[0]), 1, 0.5);
+        for (var i = 0; i < 3; i++) {
+          rgb[i] = rgb[i] * (1 - whiteness - blackness) + 255 * whiteness;
+        }
+        return rgb.concat([args[3]]);
+      }
+    },
+    {
+      re: /^([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})?$/,
+      example: ['#00ff00', '336699', '#33669980'],
       process: function (bits){
         return [
           parseInt(bits[1], 16),
           parseInt(bits[2], 16),
-          parseInt(bits[3], 16)
+          parseInt(bits[3], 16),
+          bits[4] ? parseInt(bits[4], 16) / 255 : 1
         ];
       }
     },
     {
-      re: /^(\w{1})(\w{1})(\w{1})$/,
-      example: ['#fb0', 'f0f'],
+      re: /^([0-9a-f])([0-9a-f])([0-9a-f])([0-9a-f])?$/,
+      example: ['#fb0', 'f0f', '#f008'],
       process: function (bits){
         return [
           parseInt(bits[1] + bits[1], 16),
           parseInt(bits[2] + bits[2], 16),
-          parseInt(bits[3] + bits[3], 16)
+          parseInt(bits[3] + bits[3], 16),
+          bits[4] ? parseInt(bits[4] + bits[4], 16) / 255 : 1
         ];
       }
     }
@@ -215,18 +334,22 @@ function RGBColor(color_string)
     var bits = re.exec(color_string);
     if (bits) {
       var channels = processor(bits);
-      this.r = channels[0];
-      this.g = channels[1];
-      this.b = channels[2];
-      this.ok = true;
+      if (channels && !isNaN(channels[0] + channels[1] + channels[2] + channels[3])) {
+        this.r = channels[0];
+        this.g = channels[1];
+        this.b = channels[2];
+        this.a = channels[3];
+        this.ok = true;
+      }
     }
 
   }
 
   // validate/cleanup values
-  this.r = (this.r < 0 || isNaN(this.r)) ? 0 : ((this.r > 255) ? 255 : this.r);
-  this.g = (this.g < 0 || isNaN(this.g)) ? 0 : ((this.g > 255) ? 255 : this.g);
-  this.b = (this.b < 0 || isNaN(this.b)) ? 0 : ((this.b > 255) ? 255 : this.b);
+  this.r = (this.r < 0 || isNaN(this.r)) ? 0 : ((this.r > 255) ? 255 : Math.round(this.r));
+  this.g = (this.g < 0 || isNaN(this.g)) ? 0 : ((this.g > 255) ? 255 : Math.round(this.g));
+  this.b = (this.b < 0 || isNaN(this.b)) ? 0 : ((this.b > 255) ? 255 : Math.round(this.b));
+  this.a = (this.a < 0 || isNaN(this.a)) ? 0 : ((this.a > 1) ? 1 : this.a);
 
   // some getters
   this.toRGB = function () {
@@ -24,23 +24,36 @@ SOFTWARE.
 
 /**
  * Renders an svg element to a jsPDF document.
- * For accurate results a DOM document is required (mainly used for text size measurement and image format conversion)
+ * A DOM document is only required for image format conversion and if text is measured in the browser.
  * @param element {HTMLElement} The svg element, which will be cloned, so the original stays unchanged.
  * @param pdf {jsPDF} The jsPDF object.
  * @param options {object} An object that may contain render options. Currently supported are:
  *                         scale: The global factor by which everything is scaled.
  *                         xOffset, yOffset: Offsets that are added to every coordinate AFTER scaling (They are not
  *                            influenced by the scale attribute).
+ *                         languages: The user languages (e.g. ["de-CH", "en"]) that systemLanguage attributes are
+ *                            evaluated against. Defaults to the languages of the browser.
+ *                         fonts: A list of TrueType font faces {family, weight, style, data} that are embedded when
+ *                            text uses them. data is the base64 encoded font file. Font faces may also be declared
+ *                            by @font-face rules with data urls within the svg document.
+ *                         textMeasurement: How text is measured for its layout: "metrics" (default) computes the
+ *                            advance widths from the metrics of the pdf fonts, "dom" measures them in the browser (with
+ *                            the fonts the browser uses).
  */
 (function (global) {
   var RGBColor;
-  var SvgPath;
 
   var _pdf; // jsPDF pdf-document
+  var _cssRules = []; // the rules of the style sheets within the svg document
+  var _languages = []; // the user languages that systemLanguage attributes are evaluated against
+  var _fontFaces = []; // the embeddable font faces from the options and the @font-face rules of the svg document
+  var _textMeasurement = "metrics"; // how the advance widths of text are determined ("metrics" or "dom")
 
   var cToQ = 2 / 3; // ratio to convert quadratic bezier curves to cubic ones
 
-  var iriReference = /url\(#([^)]+)\)/;
+  var kappa = 4 / 3 * (Math.SQRT2 - 1); // control point distance ratio to approximate quarter circles by cubic beziers
+
+  var iriReference = /url\(["']?#([^"')]+)["']?\)/;
 
 
   // pathSegList is marked deprecated in chrome, so parse the d attribute manually if necessary
@@ -54,14 +67,12 @@ SOFTWARE.
 
     var d = node.getAttribute("d");
 
-    SvgPath && (d = SvgPath(d).unshort().unarc().abs().toString());
-
     var regex = /([a-df-zA-DF-Z])([^a-df-zA-DF-Z]*)/g,
         match;
     while (match = regex.exec(d)) {
-      var coords = parseFloats(match[2]);
-
       var type = match[1];
+      var coords = "aA".indexOf(type) >= 0 ? parseArcArguments(match[2]) : parseFloats(match[2]);
+
       var length = "zZ".indexOf(type) >= 0 ? 0 :
           "hHvV".indexOf(type) >= 0  ? 1 :
           "mMlLtT".indexOf(type) >= 0  ? 2 :
@@ -110,7 +121,14 @@ SOFTWARE.
             break;
           case "a":
           case "A":
-            throw new Error("Cannot convert Arcs without SvgPath package");
+            pathSeg.r1 = coords[i];
+            pathSeg.r2 = coords[i + 1];
+            pathSeg.angle = coords[i + 2];
+            pathSeg.largeArcFlag = coords[i + 3] === 1;
+            pathSeg.sweepFlag = coords[i + 4] === 1;
+            pathSeg.x = coords[i + 5];
+            pathSeg.y = coords[i + 6];
+            break;
         }
 
         pathSegList.push(pathSeg);
@@ -126,10 +144,405 @@ SOFTWARE.
     return pathSegList;
   };
 
-  // returns an attribute of a node, either from the node directly or from css
+  // returns an attribute of a node, either from css or from the node directly. The css cascade is respected: important
+  // declarations win over inline styles, which win over style sheet rules, which win over presentation attributes
   var getAttribute = function (node, propertyNode, propertyCss) {
     propertyCss = propertyCss || propertyNode;
-    return node.getAttribute(propertyNode) || node.style[propertyCss];
+    var declaration = getCssDeclarations(node)[propertyCss];
+    return declaration ? declaration.value : node.getAttribute(propertyNode);
+  };
+
+  // the inherited presentation properties and their initial values
+  var inheritedProperties = {
+    "color": "black",
+    "fill": "black",
+    "fill-opacity": "1",
+    "fill-rule": "nonzero",
+    "stroke": "none",
+    "stroke-opacity": "1",
+    "stroke-width": "1",
+    "stroke-linecap": "butt",
+    "stroke-linejoin": "miter",
+    "stroke-miterlimit": "4",
+    "stroke-dasharray": "none",
+    "stroke-dashoffset": "0",
+    "clip-rule": "nonzero",
+    "font-family": null,
+    "font-size": "16",
+    "font-style": "normal",
+    "font-weight": "normal",
+    "text-anchor": "start",
+    "text-transform": "none",
+    "visibility": "visible",
+    "marker-start": "none",
+    "marker-mid": "none",
+    "marker-end": "none"
+  };
+
+  // holds the computed values of the inherited presentation properties of a node
+  var AttributeState = function () {
+    this.values = {};
+    for (var property in inheritedProperties) {
+      if (inheritedProperties.hasOwnProperty(property)) {
+        this.values[property] = inheritedProperties[property];
+      }
+    }
+    // opacity is not inherited, but applies to the node and all its descendants. The opacity of containers is realized
+    // by transparency groups, so we keep track of the product of the opacities of all other ancestors (e.g. text for
+    // tspans)
+    this.opacity = 1.0;
+  };
+
+  // computes the attribute state of a node from the attribute state of its parent
+  var computeAttributeState = function (node, parentState) {
+    var state = new AttributeState();
+    for (var property in inheritedProperties) {
+      if (inheritedProperties.hasOwnProperty(property)) {
+        var value = getAttribute(node, property);
+        state.values[property] = value && value !== "inherit" ? value : parentState.values[property];
+      }
+    }
+
+    // the computed font size is absolute, relative font sizes refer to the font size of the parent
+    var fontSize = getAttribute(node, "font-size");
+    if (fontSize && fontSize !== "inherit") {
+      state.values["font-size"] = resolveFontSize(fontSize, parseFloat(parentState.values["font-size"]));
+    }
+
+    // the computed font weight is numeric, relative font weights refer to the font weight of the parent
+    state.values["font-weight"] = String(resolveFontWeight(state.values["font-weight"],
+        parseFontWeight(parentState.values["font-weight"])));
+
+    // currentColor refers to the value of the color property
+    var color = state.values["color"];
+    /^currentcolor$/i.test(color) && (state.values["color"] = color = parentState.values["color"]);
+    /^currentcolor$/i.test(state.values["fill"]) && (state.values["fill"] = color);
+    /^currentcolor$/i.test(state.values["stroke"]) && (state.values["stroke"] = color);
+
+    if (!nodeIs(node, "svg,g,a,switch,use")) {
+      var opacity = getAttribute(node, "opacity");
+      state.opacity = parentState.opacity * (opacity !== "inherit" ? parseFraction(opacity, 1) : 1);
+    }
+
+    return state;
+  };
+
+  // returns the css declarations that apply to a node (from style sheets and the style attribute) as map from property
+  // names to the winning declaration. The result is cached at the node
+  var getCssDeclarations = function (node) {
+    if (node.svg2pdfCssDeclarations) {
+      return node.svg2pdfCssDeclarations;
+    }
+
+    var candidates = [];
+    var addCandidates = function (declarations, inline, specificity, order) {
+      for (var i = 0; i < declarations.length; i++) {
+        candidates.push({
+          declaration: declarations[i],
+          priority: [declarations[i].important ? 1 : 0, inline ? 1 : 0, specificity, order, i]
+        });
+      }
+    };
+
+    for (var i = 0; i < _cssRules.length; i++) {
+      var rule = _cssRules[i];
+      if (matchesSelector(node, rule.selector)) {
+        addCandidates(rule.declarations, false, rule.selector.specificity, i);
+      }
+    }
+    addCandidates(parseCssDeclarations(node.getAttribute("style") || ""), true, 0, 0);
+
+    candidates.sort(function (c1, c2) {
+      for (var i = 0; i < c1.priority.length; i++) {
+        if (c1.priority[i] !== c2.priority[i]) {
+          return c1.priority[i] - c2.priority[i];
+        }
+      }
+      return 0;
+    });
+
+    var declarations = {};
+    for (i = 0; i < candidates.length; i++) {
+      var declaration = candidates[i].declaration;
+      if (declaration.property === "marker") {
+        // the marker shorthand sets all marker properties
+        declarations["marker-start"] = declarations["marker-mid"] = declarations["marker-end"] = declaration;
+      } else if (declaration.property === "font") {
+        var fontProperties = parseFontShorthand(declaration.value);
+        for (var property in fontProperties) {
+          if (fontProperties.hasOwnProperty(property)) {
+            declarations[property] = {
+              property: property,
+              value: fontProperties[property],
+              important: declaration.important
+            };
+          }
+        }
+      } else {
+        declarations[declaration.property] = declaration;
+      }
+    }
+    return node.svg2pdfCssDeclarations = declarations;
+  };
+
+  // collects the style rules of all style elements within the svg element. The descriptors of @font-face rules are
+  // added to fontFaces
+  var parseStyleSheets = function (element, fontFaces) {
+    var rules = [];
+    var styleElements = element.getElementsByTagName("style");
+    for (var i = 0; i < styleElements.length; i++) {
+      var type = styleElements[i].getAttribute("type");
+      if (!type || type === "text/css") {
+        rules = rules.concat(parseCss(styleElements[i].textContent, fontFaces));
+      }
+    }
+    return rules;
+  };
+
+  // parses a css style sheet and returns a list of rules {selector, declarations}, one for each selector of a rule set.
+  // At-rules (e.g. media queries) are skipped, only the declarations of @font-face rules are added to fontFaces
+  var parseCss = function (css, fontFaces) {
+    css = css.replace(/<!\[CDATA\[|\]\]>/g, "")
+        .replace(/\/\*[\s\S]*?\*\//g, "")
+        .replace(/@(?:import|charset|namespace)[^;{]*;/g, "");
+
+    var rules = [];
+    var index = 0;
+    while (index < css.length) {
+      var blockStart = css.indexOf("{", index);
+      if (blockStart < 0) {
+        break;
+      }
+      var blockEnd = findClosingBrace(css, blockStart);
+      var prelude = css.substring(index, blockStart).trim();
+      var block = css.substring(blockStart + 1, blockEnd);
+      index = blockEnd + 1;
+
+      if (prelude.charAt(0) === "@") {
+        fontFaces && /^@font-face$/i.test(prelude) && fontFaces.push(parseCssDeclarations(block));
+        continue;
+      }
+
+      var declarations = parseCssDeclarations(block);
+      var selectors = splitOutsideBrackets(prelude, ",");
+      for (var i = 0; i < selectors.length; i++) {
+        var selector = parseSelector(selectors[i]);
+        selector && rules.push({selector: selector, declarations: declarations});
+      }
+    }
+    return rules;
+  };
+
+  // returns the index of the brace that closes the block starting at index start (or the end of the string)
+  var findClosingBrace = function (css, start) {
+    var depth = 0;
+    for (var i = start; i < css.length; i++) {
+      var c = css.charAt(i);
+      if (c === "{") {
+        depth++;
+      } else if (c === "}" && --depth === 0) {
+        return i;
+      } else if (c === "\"" || c === "'") {
+        i = css.indexOf(c, i + 1);
+        if (i < 0) {
+          break;
+        }
+      }
+    }
+    return css.length;
+  };
+
+  // splits a string at separator characters that are not enclosed by quotes, parentheses or brackets
+  var splitOutsideBrackets = function (str, separator) {
+    var parts = [];
+    var depth = 0, quote = null, start = 0;
+    for (var i = 0; i < str.length; i++) {
+      var c = str.charAt(i);
+      if (quote) {
+        c === quote && (quote = null);
+      } else if (c === "\"" || c === "'") {
+        quote = c;
+      } else if (c === "(" || c === "[") {
+        depth++;
+      } else if (c === ")" || c === "]") {
+        depth--;
+      } else if (c === separator && depth === 0) {
+        parts.push(str.substring(start, i));
+        start = i + 1;
+      }
+    }
+    parts.push(str.substring(start));
+    return parts;
+  };
+
+  // parses a list of css declarations ("fill: red; stroke: blue !important") to a list of {property, value, important}
+  var parseCssDeclarations = function (str) {
+    var declarations = [];
+    var parts = splitOutsideBrackets(str, ";");
+    for (var i = 0; i < parts.length; i++) {
+      var colon = parts[i].indexOf(":");
+      if (colon < 0) {
+        continue;
+      }
+      var property = parts[i].substring(0, colon).trim().toLowerCase();
+      var value = parts[i].substring(colon + 1).trim();
+      var important = /!\s*important$/i.test(value);
+      important && (value = value.replace(/!\s*important$/i, "").trim());
+      if (property && value) {
+        declarations.push({property: property, value: value, important: important});
+      }
+    }
+    return declarations;
+  };
+
+  // parses a (complex) css selector into a list of compound selectors and combinators and computes its specificity.
+  // Returns null for selectors that are not supported (e.g. pseudo-classes), so they never match
+  var parseSelector = function (selectorString) {
+    var compounds = [];
+    var ids = 0, classes = 0, types = 0;
+    var combinator = null;
+    var compound = null;
+    var regex = /\s*([>+~])\s*|\s+|(\*|[\w-]+)|#([\w-]+)|\.([\w-]+)|\[\s*([\w:-]+)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]*))\s*)?\]|(:.*)/g;
+    var match;
+    selectorString = selectorString.trim();
+
+    var position = 0;
+    while (position < selectorString.length) {
+      regex.lastIndex = position;
+      match = regex.exec(selectorString);
+      if (!match || match.index !== position || match[10]) {
+        // invalid or unsupported (pseudo-classes and pseudo-elements)
+        return null;
+      }
+      position = regex.lastIndex;
+
+      if (match[1] || !match[0].trim()) {
+        // explicit or descendant combinator
+        combinator = match[1] || combinator || " ";
+        compound = null;
+        continue;
+      }
+
+      if (!compound) {
+        compound = {tag: null, id: null, classes: [], attributes: [], combinator: combinator};
+        compounds.push(compound);
+        combinator = null;
+      }
+      if (match[2]) {
+        compound.tag = match[2].toLowerCase();
+        match[2] !== "*" && types++;
+      } else if (match[3]) {
+        compound.id = match[3];
+        ids++;
+      } else if (match[4]) {
+        compound.classes.push(match[4]);
+        classes++;
+      } else if (match[5]) {
+        compound.attributes.push({
+          name: match[5],
+          operator: match[6],
+          value: match[7] !== undefined ? match[7] : match[8] !== undefined ? match[8] : match[9]
+        });
+        classes++;
+      }
+    }
+    if (compounds.length === 0 || combinator) {
+      return null;
+    }
+
+    return {compounds: compounds, specificity: ids * 10000 + classes * 100 + types};
+  };
+
+  // checks whether a node matches a selector parsed by parseSelector
+  var matchesSelector = function (node, selector) {
+    return matchesCompounds(node, selector.compounds, selector.compounds.length - 1);
+  };
+
+  var matchesCompounds = function (node, compounds, index) {
+    var compound = compounds[index];
+    if (!matchesCompound(node, compound)) {
+      return false;
+    }
+    if (index === 0) {
+      return true;
+    }
+
+    switch (compound.combinator) {
+      case ">":
+        return isElement(node.parentNode) && matchesCompounds(node.parentNode, compounds, index - 1);
+      case "+":
+        var sibling = previousElementSibling(node);
+        return !!sibling && matchesCompounds(sibling, compounds, index - 1);
+      case "~":
+        for (sibling = previousElementSibling(node); sibling; sibling = previousElementSibling(sibling)) {
+          if (matchesCompounds(sibling, compounds, index - 1)) {
+            return true;
+          }
+        }
+        return false;
+      default:
+        for (var ancestor = node.parentNode; isElement(ancestor); ancestor = ancestor.parentNode) {
+          if (matchesCompounds(ancestor, compounds, index - 1)) {
+            return true;
+          }
+        }
+        return false;
+    }
+  };
+
+  var matchesCompound = function (node, compound) {
+    if (compound.tag && compound.tag !== "*" && compound.tag !== node.tagName.toLowerCase()) {
+      return false;
+    }
+    if (compound.id && compound.id !== node.getAttribute("id")) {
+      return false;
+    }
+    var classNames = (node.getAttribute("class") || "").split(/\s+/);
+    for (var i = 0; i < compound.classes.length; i++) {
+      if (classNames.indexOf(compound.classes[i]) < 0) {
+        return false;
+      }
+    }
+    for (i = 0; i < compound.attributes.length; i++) {
+      var attribute = compound.attributes[i];
+      if (!node.hasAttribute(attribute.name)) {
+        return false;
+      }
+      var value = node.getAttribute(attribute.name);
+      var expected = attribute.value;
+      switch (attribute.operator) {
+        case "=":
+          if (value !== expected) return false;
+          break;
+        case "~=":
+          if (value.split(/\s+/).indexOf(expected) < 0) return false;
+          break;
+        case "|=":
+          if (value !== expected && value.indexOf(expected + "-") !== 0) return false;
+          break;
+        case "^=":
+          if (!expected || value.indexOf(expected) !== 0) return false;
+          break;
+        case "$=":
+          if (!expected || value.slice(-expected.length) !== expected) return false;
+          break;
+        case "*=":
+          if (!expected || value.indexOf(expected) < 0) return false;
+          break;
+      }
+    }
+    return true;
+  };
+
+  var isElement = function (node) {
+    return !!node && node.nodeType === 1;
+  };
+
+  var previousElementSibling = function (node) {
+    do {
+      node = node.previousSibling;
+    } while (node && node.nodeType !== 1);
+    return node;
   };
 
   var nodeIs = function (node, tagsString) {
@@ -153,6 +566,17 @@ SOFTWARE.
     return Math.atan2(to[1] - from[1], to[0] - from[0]);
   };
 
+  // returns the angle of the direction from a point to the first of the given points that differs from it or null if
+  // there is none
+  var getDirection = function (from, points) {
+    for (var i = 0; i < points.length; i++) {
+      if (points[i][0] !== from[0] || points[i][1] !== from[1]) {
+        return getAngle(from, points[i]);
+      }
+    }
+    return null;
+  };
+
   // mirrors p1 at p2
   var mirrorPoint = function (p1, p2) {
     var dx = p2[0] - p1[0];
@@ -180,6 +604,107 @@ SOFTWARE.
     return p2;
   };
 
+  // converts an elliptical arc segment from endpoint to center parameterization (SVG 1.1 spec, appendix F.6.5). Returns
+  // null for the degenerate cases, in which the arc is either a straight line (zero radius) or omitted (equal end points)
+  var getArcCenterParameters = function (from, seg, to) {
+    var rx = Math.abs(seg.r1);
+    var ry = Math.abs(seg.r2);
+    if (!rx || !ry || (from[0] === to[0] && from[1] === to[1])) {
+      return null;
+    }
+
+    var phi = (seg.angle || 0) % 360 * Math.PI / 180;
+    var cos = Math.cos(phi);
+    var sin = Math.sin(phi);
+
+    var dx = (from[0] - to[0]) / 2;
+    var dy = (from[1] - to[1]) / 2;
+    var x1 = cos * dx + sin * dy;
+    var y1 = -sin * dx + cos * dy;
+
+    // scale up radii that are too small to connect the end points
+    var lambda = x1 * x1 / (rx * rx) + y1 * y1 / (ry * ry);
+    if (lambda > 1) {
+      rx *= Math.sqrt(lambda);
+      ry *= Math.sqrt(lambda);
+    }
+
+    var rx2 = rx * rx, ry2 = ry * ry;
+    var coefficient = Math.sqrt(Math.max(0, (rx2 * ry2 - rx2 * y1 * y1 - ry2 * x1 * x1) / (rx2 * y1 * y1 + ry2 * x1 * x1)));
+    if (!!seg.largeArcFlag === !!seg.sweepFlag) {
+      coefficient = -coefficient;
+    }
+    var cx1 = coefficient * rx * y1 / ry;
+    var cy1 = -coefficient * ry * x1 / rx;
+
+    var startAngle = Math.atan2((y1 - cy1) / ry, (x1 - cx1) / rx);
+    var deltaAngle = Math.atan2((-y1 - cy1) / ry, (-x1 - cx1) / rx) - startAngle;
+    if (seg.sweepFlag && deltaAngle < 0) {
+      deltaAngle += 2 * Math.PI;
+    } else if (!seg.sweepFlag && deltaAngle > 0) {
+      deltaAngle -= 2 * Math.PI;
+    }
+
+    return {
+      cx: cos * cx1 - sin * cy1 + (from[0] + to[0]) / 2,
+      cy: sin * cx1 + cos * cy1 + (from[1] + to[1]) / 2,
+      rx: rx,
+      ry: ry,
+      cos: cos,
+      sin: sin,
+      startAngle: startAngle,
+      deltaAngle: deltaAngle
+    };
+  };
+
+  // maps a point of the unit circle to the ellipse of an arc
+  var getArcPoint = function (arc, x, y) {
+    return [
+      arc.cx + arc.rx * arc.cos * x - arc.ry * arc.sin * y,
+      arc.cy + arc.rx * arc.sin * x + arc.ry * arc.cos * y
+    ];
+  };
+
+  // approximates an arc by cubic bezier curves spanning at most 90 degrees each. Returns a list of [p2, p3, to] triples
+  var getArcCurves = function (arc, to) {
+    var count = Math.max(1, Math.ceil(Math.abs(arc.deltaAngle) / (Math.PI / 2) - 1e-7));
+    var delta = arc.deltaAngle / count;
+    var t = 4 / 3 * Math.tan(delta / 4);
+    var curves = [];
+    var angle = arc.startAngle;
+    for (var i = 0; i < count; i++) {
+      var cos1 = Math.cos(angle), sin1 = Math.sin(angle);
+      angle += delta;
+      var cos2 = Math.cos(angle), sin2 = Math.sin(angle);
+      curves.push([
+        getArcPoint(arc, cos1 - t * sin1, sin1 + t * cos1),
+        getArcPoint(arc, cos2 + t * sin2, sin2 - t * cos2),
+        // use the exact end point to avoid rounding gaps
+        i === count - 1 ? to : getArcPoint(arc, cos2, sin2)
+      ]);
+    }
+    return curves;
+  };
+
+  // returns the points of an arc at which its x or y coordinate is extremal
+  var getArcExtremes = function (arc) {
+    var points = [];
+    var angles = [
+      Math.atan2(-arc.ry * arc.sin, arc.rx * arc.cos),
+      Math.atan2(arc.ry * arc.cos, arc.rx * arc.sin)
+    ];
+    for (var i = 0; i < 4; i++) {
+      var angle = angles[i % 2] + (i < 2 ? 0 : Math.PI);
+      // the angle relative to the start angle, measured in sweep direction
+      var relativeAngle = (arc.deltaAngle > 0 ? angle - arc.startAngle : arc.startAngle - angle) % (2 * Math.PI);
+      relativeAngle < 0 && (relativeAngle += 2 * Math.PI);
+      if (relativeAngle <= Math.abs(arc.deltaAngle)) {
+        points.push(getArcPoint(arc, Math.cos(angle), Math.sin(angle)));
+      }
+    }
+    return points;
+  };
+
   // an id prefix to handle duplicate ids
   var SvgPrefix = function (prefix) {
     this.prefix = prefix;
@@ -201,11 +726,6 @@ SOFTWARE.
     return defs[id];
   };
 
-  // replace any newline characters by space and trim
-  var removeNewlinesAndTrim = function (str) {
-    return str.replace(/[\n\s\r]+/, " ").trim();
-  };
-
   // clones the defs object (or basically any object)
   var cloneDefs = function (defs) {
     var clone = {};
@@ -217,40 +737,75 @@ SOFTWARE.
     return clone;
   };
 
+  // computes the transformation that maps a viewBox [x, y, width, height] onto the viewport x, y, width, height
+  // according to the value of a preserveAspectRatio attribute ("[defer] <align> [meet | slice]")
+  var computeViewBoxTransform = function (viewBox, x, y, width, height, preserveAspectRatio) {
+    var scaleX = width / viewBox[2];
+    var scaleY = height / viewBox[3];
+
+    var parts = (preserveAspectRatio || "").trim().split(/\s+/);
+    parts[0] === "defer" && parts.shift();
+    var align = parts[0] || "xMidYMid";
+    if (align !== "none") {
+      // uniform scaling that either fits the whole viewBox into the viewport or covers the whole viewport
+      scaleX = scaleY = parts[1] === "slice" ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+    }
+
+    var translateX = x - viewBox[0] * scaleX;
+    var translateY = y - viewBox[1] * scaleY;
+    if (align.indexOf("xMid") >= 0) {
+      translateX += (width - viewBox[2] * scaleX) / 2;
+    } else if (align.indexOf("xMax") >= 0) {
+      translateX += width - viewBox[2] * scaleX;
+    }
+    if (align.indexOf("YMid") >= 0) {
+      translateY += (height - viewBox[3] * scaleY) / 2;
+    } else if (align.indexOf("YMax") >= 0) {
+      translateY += height - viewBox[3] * scaleY;
+    }
+
+    return new _pdf.Matrix(scaleX, 0, 0, scaleY, translateX, translateY);
+  };
+
+  // returns the viewBox transformation of a marker or null if it has no viewBox
+  var computeMarkerViewBoxTransform = function (node) {
+    var viewBox = node.getAttribute("viewBox");
+    if (!viewBox) {
+      return null;
+    }
+    var bounds = parseFloats(viewBox);
+    var width = getLength(node, "markerWidth") || bounds[2];
+    var height = getLength(node, "markerHeight") || bounds[3];
+    return computeViewBoxTransform(bounds, 0, 0, width, height, node.getAttribute("preserveAspectRatio"));
+  };
+
   // computes the transform directly applied at the node (such as viewbox scaling and the "transform" atrribute)
   // x,y,cx,cy,r,... are omitted
   var computeNodeTransform = function (node) {
-    var height, width, viewBoxHeight, viewBoxWidth, bounds, viewBox, y, x;
+    var height, width, bounds, viewBox, y, x;
     var nodeTransform = _pdf.unitMatrix;
     if (nodeIs(node, "svg,g")) {
-      x = parseFloat(node.getAttribute("x")) || 0;
-      y = parseFloat(node.getAttribute("y")) || 0;
+      x = getLength(node, "x") || 0;
+      y = getLength(node, "y") || 0;
 
       // jquery doesn't like camelCase notation...
       viewBox = node.getAttribute("viewBox");
       if (viewBox) {
         bounds = parseFloats(viewBox);
-        viewBoxWidth = bounds[2] - bounds[0];
-        viewBoxHeight = bounds[3] - bounds[1];
-        width = parseFloat(node.getAttribute("width")) || viewBoxWidth;
-        height = parseFloat(node.getAttribute("height")) || viewBoxHeight;
-        nodeTransform = new _pdf.Matrix(width / viewBoxWidth, 0, 0, height / viewBoxHeight, x - bounds[0], y - bounds[1]);
+        width = getLength(node, "width") || bounds[2];
+        height = getLength(node, "height") || bounds[3];
+        nodeTransform = computeViewBoxTransform(bounds, x, y, width, height, node.getAttribute("preserveAspectRatio"));
       } else {
         nodeTransform = new _pdf.Matrix(1, 0, 0, 1, x, y);
       }
     } else if (nodeIs(node, "marker")) {
-      x = -parseFloat(node.getAttribute("refX")) || 0;
-      y = -parseFloat(node.getAttribute("refY")) || 0;
-
-      viewBox = node.getAttribute("viewBox");
-      if (viewBox) {
-        bounds = parseFloats(viewBox);
-        viewBoxWidth = bounds[2] - bounds[0];
-        viewBoxHeight = bounds[3] - bounds[1];
-        width = parseFloat(node.getAttribute("markerWidth")) || viewBoxWidth;
-        height = parseFloat(node.getAttribute("markerHeight")) || viewBoxHeight;
+      x = -getLength(node, "refX") || 0;
+      y = -getLength(node, "refY") || 0;
 
-        var s = new _pdf.Matrix(width / viewBoxWidth, 0, 0, height / viewBoxHeight, 0, 0);
+      var viewBoxTransform = computeMarkerViewBoxTransform(node);
+      if (viewBoxTransform) {
+        // the reference point is mapped to the origin, so only the scaling of the viewBox transformation matters
+        var s = new _pdf.Matrix(viewBoxTransform.a, 0, 0, viewBoxTransform.d, 0, 0);
         var t = new _pdf.Matrix(1, 0, 0, 1, x, y);
         nodeTransform = _pdf.matrixMult(t, s);
       } else {
@@ -265,7 +820,7 @@ SOFTWARE.
       return _pdf.matrixMult(nodeTransform, parseTransform(transformString));
   };
 
-  // parses the "points" string used by polygons and returns an array of points
+  // parses the "points" string used by polygons and polylines and returns an array of points
   var parsePointsString = function (string) {
     var floats = parseFloats(string);
     var result = [];
@@ -350,17 +905,140 @@ SOFTWARE.
     return floats;
   };
 
-  // extends RGBColor by rgba colors as RGBColor is not capable of it
-  var parseColor = function (colorString) {
-    var match = /\s*rgba\(((?:[^,\)]*,){3}[^,\)]*)\)\s*/.exec(colorString);
-    if (match) {
-      var floats = parseFloats(match[1]);
-      var color = new RGBColor("rgb(" + floats.slice(0,3).join(",") + ")");
-      color.a = floats[3];
-      return color;
-    } else {
-      return new RGBColor(colorString);
+  // parses the arguments of arc segments, whose flags may be written without separators (e.g. "a10 10 0 0110 10")
+  var parseArcArguments = function (str) {
+    var args = [], match,
+        number = /^[\s,]*([+-]?(?:(?:\d+\.?\d*)|(?:\d*\.?\d+))(?:[eE][+-]?\d+)?)/,
+        flag = /^[\s,]*([01])/;
+    while (match = (args.length % 7 === 3 || args.length % 7 === 4 ? flag : number).exec(str)) {
+      args.push(parseFloat(match[1]));
+      str = str.substr(match[0].length);
+    }
+    return args;
+  };
+
+  // the number of user units (px) per absolute css length unit
+  var absoluteLengthUnits = {px: 1, pt: 4 / 3, pc: 16, mm: 96 / 25.4, cm: 96 / 2.54, "in": 96};
+
+  var lengthRegex = /^\s*([+-]?(?:(?:\d+\.?\d*)|(?:\d*\.?\d+))(?:[eE][+-]?\d+)?)\s*(px|pt|pc|mm|cm|in|em|ex|%)?\s*$/i;
+
+  // the viewport dimension percentages of a length attribute refer to ("x": width, "y": height, otherwise the
+  // normalized diagonal)
+  var lengthAttributeDirections = {
+    x: "x", x1: "x", x2: "x", cx: "x", fx: "x", dx: "x", rx: "x", width: "x", markerWidth: "x", refX: "x",
+    y: "y", y1: "y", y2: "y", cy: "y", fy: "y", dy: "y", ry: "y", height: "y", markerHeight: "y", refY: "y"
+  };
+
+  // resolves a css length (e.g. "10mm", "2em" or "50%") that is specified at node to user units. Percentages refer to
+  // the width ("x"), height ("y") or normalized diagonal (otherwise) of the nearest viewport. Returns NaN for missing or
+  // invalid values, like parseFloat
+  var parseLength = function (value, node, direction) {
+    var match = lengthRegex.exec(value || "");
+    if (!match) {
+      // lenient fallback for lists and other unexpected values
+      return parseFloat(value);
+    }
+
+    var number = parseFloat(match[1]);
+    var unit = (match[2] || "px").toLowerCase();
+    switch (unit) {
+      case "em":
+        return number * getFontSize(node);
+      case "ex":
+        return number * getFontSize(node) / 2;
+      case "%":
+        return number / 100 * getViewportSize(node, direction);
+      default:
+        return number * absoluteLengthUnits[unit];
+    }
+  };
+
+  // resolves the length value of an attribute of node to user units (see parseLength)
+  var getLength = function (node, attribute) {
+    return parseLength(node.getAttribute(attribute), node, lengthAttributeDirections[attribute]);
+  };
+
+  // resolves a font size value to user units. Relative values refer to the font size of the parent
+  var resolveFontSize = function (value, parentFontSize) {
+    var match = lengthRegex.exec(value || "");
+    if (!match) {
+      return parentFontSize;
+    }
+
+    var number = parseFloat(match[1]);
+    var unit = (match[2] || "px").toLowerCase();
+    switch (unit) {
+      case "em":
+        return number * parentFontSize;
+      case "ex":
+        return number * parentFontSize / 2;
+      case "%":
+        return number / 100 * parentFontSize;
+      default:
+        return number * absoluteLengthUnits[unit];
+    }
+  };
+
+  // returns the computed font size of a node in user units
+  var getFontSize = function (node) {
+    if (!isElement(node)) {
+      return parseFloat(inheritedProperties["font-size"]);
+    }
+    var fontSize = getAttribute(node, "font-size");
+    var parentFontSize = getFontSize(node.parentNode);
+    return fontSize && fontSize !== "inherit" ? resolveFontSize(fontSize, parentFontSize) : parentFontSize;
+  };
+
+  // returns the width ("x"), height ("y") or normalized diagonal (otherwise) of the viewport that a node is in, which
+  // is established by its nearest svg ancestor
+  var getViewportSize = function (node, direction) {
+    var viewportElement = node.parentNode;
+    while (isElement(viewportElement) && !nodeIs(viewportElement, "svg")) {
+      viewportElement = viewportElement.parentNode;
+    }
+
+    var width = 0, height = 0;
+    if (isElement(viewportElement)) {
+      var viewBox = viewportElement.getAttribute("viewBox");
+      if (viewBox) {
+        var bounds = parseFloats(viewBox);
+        width = bounds[2];
+        height = bounds[3];
+      } else {
+        width = getLength(viewportElement, "width") || 0;
+        height = getLength(viewportElement, "height") || 0;
+      }
+    }
+
+    return direction === "x" ? width :
+        direction === "y" ? height :
+        Math.sqrt((width * width + height * height) / 2);
+  };
+
+  // parses a number or percentage value relative to 1 (e.g. "50%" or "0.5") and returns defaultValue if it is missing
+  var parseFraction = function (value, defaultValue) {
+    var fraction = parseFloat(value);
+    if (isNaN(fraction)) {
+      return defaultValue;
+    }
+    return /%\s*$/.test(value) ? fraction / 100 : fraction;
+  };
+
+  // parses a css color value, whose alpha value is stored in the "a" property. currentColor refers to the value of
+  // the color property, which defaults to black
+  var parseColor = function (colorString, currentColor) {
+    return new RGBColor(colorString, currentColor || inheritedProperties["color"]);
+  };
+
+  // returns the value of the (inherited) color property of a node
+  var getCurrentColor = function (node) {
+    for (; isElement(node); node = node.parentNode) {
+      var color = getAttribute(node, "color");
+      if (color && color !== "inherit" && !/^\s*currentcolor\s*$/i.test(color)) {
+        return color;
+      }
     }
+    return inheritedProperties["color"];
   };
 
   // multiplies a vector with a matrix: vec' = vec * matrix
@@ -374,12 +1052,11 @@ SOFTWARE.
   };
 
   // returns the untransformed bounding box [x, y, width, height] of an svg element (quite expensive for path and polygon objects, as
-  // the whole points/d-string has to be processed)
-  var getUntransformedBBox = function (node) {
-    var i, minX, minY, maxX, maxY, viewBox, vb, boundingBox;
-    var pf = parseFloat;
+  // the whole points/d-string has to be processed). If ignoreStroke is true, the line width is not added to the box
+  var getUntransformedBBox = function (node, ignoreStroke) {
+    var i, minX, minY, maxX, maxY, viewBox, vb, boundingBox, pf;
 
-    if (nodeIs(node, "polygon")) {
+    if (nodeIs(node, "polygon,polyline")) {
       var points = parsePointsString(node.getAttribute("points"));
       minX = Number.POSITIVE_INFINITY;
       minY = Number.POSITIVE_INFINITY;
@@ -406,10 +1083,11 @@ SOFTWARE.
       maxY = Number.NEGATIVE_INFINITY;
       var x = 0, y = 0;
       var prevX, prevY, newX, newY;
-      var p2, p3, to;
+      var p2, p3, to, arc, extremes;
       for (i = 0; i < list.numberOfItems; i++) {
         var seg = list.getItem(i);
         var cmd = seg.pathSegTypeAsLetter;
+        extremes = [];
         switch (cmd) {
           case "H":
             newX = seg.x;
@@ -471,16 +1149,21 @@ SOFTWARE.
             p3 = toCubic([x + seg.x, y + seg.y], pf);
             to = [seg.x + x, seg.y + y];
             break;
-          // TODO: A,a
+          case "A":
+          case "a":
+            to = cmd === "A" ? [seg.x, seg.y] : [seg.x + x, seg.y + y];
+            arc = getArcCenterParameters([x, y], seg, to);
+            arc && (extremes = getArcExtremes(arc));
+            break;
         }
         if ("sScCqQtT".indexOf(cmd) >= 0) {
           prevX = x;
           prevY = y;
         }
-        if ("MLCSQT".indexOf(cmd) >= 0) {
+        if ("MLCSQTA".indexOf(cmd) >= 0) {
           x = seg.x;
           y = seg.y;
-        } else if ("mlcsqt".indexOf(cmd) >= 0) {
+        } else if ("mlcsqta".indexOf(cmd) >= 0) {
           x = seg.x + x;
           y = seg.y + y;
         } else if ("zZ".indexOf(cmd) < 0) {
@@ -498,6 +1181,12 @@ SOFTWARE.
           minY = Math.min(minY, y);
           maxY = Math.max(maxY, y);
         }
+        for (var j = 0; j < extremes.length; j++) {
+          minX = Math.min(minX, extremes[j][0]);
+          maxX = Math.max(maxX, extremes[j][0]);
+          minY = Math.min(minY, extremes[j][1]);
+          maxY = Math.max(maxY, extremes[j][1]);
+        }
       }
       boundingBox = [
         minX,
@@ -511,15 +1200,20 @@ SOFTWARE.
         vb = parseFloats(viewBox);
       }
       return [
-        pf(node.getAttribute("x")) || (vb && vb[0]) || 0,
-        pf(node.getAttribute("y")) || (vb && vb[1]) || 0,
-        pf(node.getAttribute("width")) || (vb && vb[2]) || 0,
-        pf(node.getAttribute("height")) || (vb && vb[3]) || 0
+        getLength(node, "x") || (vb && vb[0]) || 0,
+        getLength(node, "y") || (vb && vb[1]) || 0,
+        getLength(node, "width") || (vb && vb[2]) || 0,
+        getLength(node, "height") || (vb && vb[3]) || 0
       ];
-    } else if (nodeIs(node, "g")) {
-      boundingBox = [0, 0, 0, 0];
+    } else if (nodeIs(node, "g,symbol")) {
+      // the viewBox of a symbol is always part of its bounding box
+      viewBox = nodeIs(node, "symbol") && node.getAttribute("viewBox");
+      boundingBox = viewBox ? parseFloats(viewBox) : [0, 0, 0, 0];
       forEachChild(node, function (i, node) {
-        var nodeBox = getUntransformedBBox(node);
+        if (nodeIs(node, "defs,symbol")) {
+          return;
+        }
+        var nodeBox = getUntransformedBBox(node, ignoreStroke);
         boundingBox = [
             Math.min(boundingBox[0], nodeBox[0]),
             Math.min(boundingBox[1], nodeBox[1]),
@@ -528,29 +1222,45 @@ SOFTWARE.
         ];
       });
     } else if (nodeIs(node, "marker")) {
-      viewBox = node.getAttribute("viewBox");
-      if (viewBox) {
-        vb = parseFloats(viewBox);
+      // the marker viewport in the coordinates of the marker contents
+      var viewBoxTransform = computeMarkerViewBoxTransform(node);
+      if (viewBoxTransform) {
+        vb = parseFloats(node.getAttribute("viewBox"));
+        return [
+          -viewBoxTransform.e / viewBoxTransform.a,
+          -viewBoxTransform.f / viewBoxTransform.d,
+          (getLength(node, "markerWidth") || vb[2]) / viewBoxTransform.a,
+          (getLength(node, "markerHeight") || vb[3]) / viewBoxTransform.d
+        ];
       }
       return [
-        (vb && vb[0]) || 0,
-        (vb && vb[1]) || 0,
-        (vb && vb[2]) || pf(node.getAttribute("marker-width")) || 0,
-        (vb && vb[3]) || pf(node.getAttribute("marker-height")) || 0
+        0,
+        0,
+        getLength(node, "markerWidth") || 3,
+        getLength(node, "markerHeight") || 3
       ];
     } else if (nodeIs(node, "pattern")) {
       return [
-          pf(node.getAttribute("x")) || 0,
-          pf(node.getAttribute("y")) || 0,
-          pf(node.getAttribute("width")) || 0,
-          pf(node.getAttribute("height")) || 0
-      ]
+        getLength(node, "x") || 0,
+        getLength(node, "y") || 0,
+        getLength(node, "width") || 0,
+        getLength(node, "height") || 0
+      ];
+    } else if (nodeIs(node, "ellipse,circle")) {
+      var rx = getLength(node, nodeIs(node, "circle") ? "r" : "rx") || 0;
+      var ry = getLength(node, nodeIs(node, "circle") ? "r" : "ry") || 0;
+      boundingBox = [
+        (getLength(node, "cx") || 0) - rx,
+        (getLength(node, "cy") || 0) - ry,
+        2 * rx,
+        2 * ry
+      ];
     } else {
       // TODO: check if there are other possible coordinate attributes
-      var x1 = pf(node.getAttribute("x1")) || pf(node.getAttribute("x")) || pf((node.getAttribute("cx")) - pf(node.getAttribute("r"))) || 0;
-      var x2 = pf(node.getAttribute("x2")) || (x1 + pf(node.getAttribute("width"))) || (pf(node.getAttribute("cx")) + pf(node.getAttribute("r"))) || 0;
-      var y1 = pf(node.getAttribute("y1")) || pf(node.getAttribute("y")) || (pf(node.getAttribute("cy")) - pf(node.getAttribute("r"))) || 0;
-      var y2 = pf(node.getAttribute("y2")) || (y1 + pf(node.getAttribute("height"))) || (pf(node.getAttribute("cy")) + pf(node.getAttribute("r"))) || 0;
+      var x1 = getLength(node, "x1") || getLength(node, "x") || (getLength(node, "cx") - getLength(node, "r")) || 0;
+      var x2 = getLength(node, "x2") || (x1 + getLength(node, "width")) || (getLength(node, "cx") + getLength(node, "r")) || 0;
+      var y1 = getLength(node, "y1") || getLength(node, "y") || (getLength(node, "cy") - getLength(node, "r")) || 0;
+      var y2 = getLength(node, "y2") || (y1 + getLength(node, "height")) || (getLength(node, "cy") + getLength(node, "r")) || 0;
       boundingBox = [
         Math.min(x1, x2),
         Math.min(y1, y2),
@@ -559,9 +1269,9 @@ SOFTWARE.
       ];
     }
 
-    if (!nodeIs(node, "marker,svg,g")) {
+    if (!ignoreStroke && !nodeIs(node, "marker,svg,symbol,g")) {
       // add line-width
-      var lineWidth = getAttribute(node, "stroke-width") || 1;
+      var lineWidth = parseLength(getAttribute(node, "stroke-width"), node) || 1;
       var miterLimit = getAttribute(node, "stroke-miterlimit");
       // miterLength / lineWidth = 1 / sin(phi / 2)
       miterLimit && (lineWidth *= 0.5 / (Math.sin(Math.PI / 12)));
@@ -596,9 +1306,12 @@ SOFTWARE.
     ]
   };
 
-  // draws a polygon
-  var polygon = function (node, tfMatrix, colorMode, gradient, gradientMatrix) {
+  // returns the outline of a polygon as a list of path operations transformed by tfMatrix
+  var getPolygonLines = function (node, tfMatrix) {
     var points = parsePointsString(node.getAttribute("points"));
+    if (points.length === 0) {
+      return [];
+    }
     var lines = [{op: "m", c: multVecMatrix(points[0], tfMatrix)}];
     for (var i = 1; i < points.length; i++) {
       var p = points[i];
@@ -606,7 +1319,129 @@ SOFTWARE.
       lines.push({op: "l", c: to});
     }
     lines.push({op: "h"});
-    _pdf.path(lines, colorMode, gradient, gradientMatrix);
+    return lines;
+  };
+
+  // returns the outline of a (possibly rounded) rect as a list of path operations transformed by tfMatrix
+  var getRectLines = function (node, tfMatrix) {
+    var x = getLength(node, "x") || 0,
+        y = getLength(node, "y") || 0,
+        width = getLength(node, "width") || 0,
+        height = getLength(node, "height") || 0,
+        rx = getLength(node, "rx"),
+        ry = getLength(node, "ry");
+
+    // if only one of rx and ry is specified, it is used for both of them
+    isNaN(rx) && (rx = ry || 0);
+    isNaN(ry) && (ry = rx);
+    rx = Math.min(rx, width / 2);
+    ry = Math.min(ry, height / 2);
+
+    var points = [
+      ["m", x + rx, y],
+      ["l", x + width - rx, y],
+      ["c", x + width - rx + rx * kappa, y, x + width, y + ry - ry * kappa, x + width, y + ry],
+      ["l", x + width, y + height - ry],
+      ["c", x + width, y + height - ry + ry * kappa, x + width - rx + rx * kappa, y + height, x + width - rx, y + height],
+      ["l", x + rx, y + height],
+      ["c", x + rx - rx * kappa, y + height, x, y + height - ry + ry * kappa, x, y + height - ry],
+      ["l", x, y + ry],
+      ["c", x, y + ry - ry * kappa, x + rx - rx * kappa, y, x + rx, y],
+      ["h"]
+    ];
+    return toLines(points, tfMatrix);
+  };
+
+  // returns the outline of an ellipse as a list of path operations transformed by tfMatrix
+  var getEllipseLines = function (cx, cy, rx, ry, tfMatrix) {
+    var kx = rx * kappa, ky = ry * kappa;
+    var points = [
+      ["m", cx + rx, cy],
+      ["c", cx + rx, cy + ky, cx + kx, cy + ry, cx, cy + ry],
+      ["c", cx - kx, cy + ry, cx - rx, cy + ky, cx - rx, cy],
+      ["c", cx - rx, cy - ky, cx - kx, cy - ry, cx, cy - ry],
+      ["c", cx + kx, cy - ry, cx + rx, cy - ky, cx + rx, cy],
+      ["h"]
+    ];
+    return toLines(points, tfMatrix);
+  };
+
+  // converts a list of [op, x1, y1, ...] arrays to a list of path operations transformed by tfMatrix
+  var toLines = function (points, tfMatrix) {
+    var lines = [];
+    for (var i = 0; i < points.length; i++) {
+      var point = points[i];
+      var c = [];
+      for (var j = 1; j < point.length; j += 2) {
+        c = c.concat(multVecMatrix([point[j], point[j + 1]], tfMatrix));
+      }
+      lines.push(point[0] === "h" ? {op: "h"} : {op: point[0], c: c});
+    }
+    return lines;
+  };
+
+  // returns the outline of a shape element as a list of path operations transformed by tfMatrix
+  var getShapeLines = function (node, tfMatrix) {
+    switch (node.tagName.toLowerCase()) {
+      case "rect":
+        return getRectLines(node, tfMatrix);
+      case "ellipse":
+        return getEllipseLines(
+            getLength(node, "cx") || 0,
+            getLength(node, "cy") || 0,
+            getLength(node, "rx") || 0,
+            getLength(node, "ry") || 0,
+            tfMatrix
+        );
+      case "circle":
+        var r = getLength(node, "r") || 0;
+        return getEllipseLines(getLength(node, "cx") || 0, getLength(node, "cy") || 0, r, r,
+            tfMatrix);
+      case "line":
+        return [
+          {op: "m", c: multVecMatrix([getLength(node, "x1") || 0, getLength(node, "y1") || 0], tfMatrix)},
+          {op: "l", c: multVecMatrix([getLength(node, "x2") || 0, getLength(node, "y2") || 0], tfMatrix)}
+        ];
+      case "polygon":
+        return getPolygonLines(node, tfMatrix);
+      case "polyline":
+        return getLinesFromPath(getPolylineSegList(node), tfMatrix).lines;
+      case "path":
+        return getLinesFromPath(getPathSegList(node), tfMatrix).lines;
+    }
+    return [];
+  };
+
+  // writes the path construction operators of a list of path operations to the pdf without painting the path
+  var putLines = function (lines) {
+    for (var i = 0; i < lines.length; i++) {
+      var c = lines[i].c;
+      switch (lines[i].op) {
+        case "m":
+        case "l":
+          _pdf.internal.write(toPdfNumber(c[0]), toPdfNumber(c[1]), lines[i].op);
+          break;
+        case "c":
+          _pdf.internal.write(c.map(toPdfNumber).join(" "), "c");
+          break;
+        case "h":
+          _pdf.internal.write("h");
+          break;
+      }
+    }
+  };
+
+  // formats a number for the pdf content stream
+  var toPdfNumber = function (number) {
+    return (Math.round(number * 100000) / 100000).toString();
+  };
+
+  // draws a polygon
+  var polygon = function (node, tfMatrix, colorMode, gradient, gradientMatrix) {
+    var lines = getPolygonLines(node, tfMatrix);
+    if (lines.length > 0) {
+      _pdf.path(lines, colorMode, gradient, gradientMatrix);
+    }
   };
 
   // draws an image (converts it to jpeg first, as jsPDF doesn't support png or other formats)
@@ -617,180 +1452,206 @@ SOFTWARE.
     image.src = imageUrl;
 
     var canvas = document.createElement("canvas");
-    var width = parseFloat(node.getAttribute("width")),
-        height = parseFloat(node.getAttribute("height")),
-        x = parseFloat(node.getAttribute("x") || 0),
-        y = parseFloat(node.getAttribute("y") || 0);
-    canvas.width = width;
-    canvas.height = height;
+    var width = getLength(node, "width"),
+        height = getLength(node, "height"),
+        x = getLength(node, "x") || 0,
+        y = getLength(node, "y") || 0;
+
+    // the image rectangle within the viewport and the part of the viewport that is covered by the canvas
+    var imageRect = [0, 0, width, height];
+    var canvasRect = [0, 0, width, height];
+    var imageWidth = image.naturalWidth || image.width,
+        imageHeight = image.naturalHeight || image.height;
+    if (imageWidth && imageHeight) {
+      var viewBoxTransform = computeViewBoxTransform([0, 0, imageWidth, imageHeight], 0, 0, width, height,
+          node.getAttribute("preserveAspectRatio"));
+      imageRect = [viewBoxTransform.e, viewBoxTransform.f, imageWidth * viewBoxTransform.a,
+        imageHeight * viewBoxTransform.d];
+      // "meet" leaves a part of the viewport empty, so shrink the canvas to the image. "slice" is clipped by the canvas
+      for (var i = 0; i < 2; i++) {
+        if (imageRect[i + 2] < canvasRect[i + 2]) {
+          canvasRect[i] = imageRect[i];
+          canvasRect[i + 2] = imageRect[i + 2];
+          imageRect[i] = 0;
+        }
+      }
+    }
+
+    canvas.width = canvasRect[2];
+    canvas.height = canvasRect[3];
     var context = canvas.getContext("2d");
     context.fillStyle = "#fff";
-    context.fillRect(0, 0, width, height);
-    context.drawImage(image, 0, 0, width, height);
+    context.fillRect(0, 0, canvasRect[2], canvasRect[3]);
+    context.drawImage(image, imageRect[0], imageRect[1], imageRect[2], imageRect[3]);
     var jpegUrl = canvas.toDataURL("image/jpeg");
 
     _pdf.addImage(jpegUrl,
         "jpeg",
-        x,
-        y,
-        width,
-        height
+        x + canvasRect[0],
+        y + canvasRect[1],
+        canvasRect[2],
+        canvasRect[3]
     );
   };
 
-  // draws a path
-  var path = function (node, tfMatrix, svgIdPrefix, colorMode, gradient, gradientMatrix) {
-    var list = getPathSegList(node);
-    var markerEnd = node.getAttribute("marker-end"),
-        markerStart = node.getAttribute("marker-start"),
-        markerMid = node.getAttribute("marker-mid");
-
-    var getLinesFromPath = function (pathSegList, tfMatrix) {
-      var x = 0, y = 0;
-      var x0 = x, y0 = y;
-      var prevX, prevY, newX, newY;
-      var to, p, p2, p3;
-      var lines = [];
-      var markers = [];
-      var op;
-      var prevAngle = 0, curAngle;
-
-      var addMarker = function (angle, anchor, type) {
-        var cos = Math.cos(angle);
-        var sin = Math.sin(angle);
-        var tf;
-        tf = new _pdf.Matrix(cos, sin, -sin, cos, anchor[0], anchor[1]);
-        markers.push({type: type, tf: _pdf.matrixMult(tf, tfMatrix)});
-      };
+  // converts a path segment list to a list of pdf path operations transformed by tfMatrix and computes its vertices
+  // in user space with the directions in which the path enters and leaves them (null for none or zero length segments)
+  var getLinesFromPath = function (list, tfMatrix) {
+    var x = 0, y = 0;
+    var x0 = x, y0 = y;
+    var prevX, prevY, newX, newY;
+    var to, p, p2, p3, arc, curves;
+    var lines = [];
+    var vertices = [];
+    var subpathStart = 0;
+    var op, angle;
+
+    // adds a segment from the current vertex to the point to
+    var addSegment = function (startAngle, to, endAngle) {
+      vertices[vertices.length - 1].outAngle = startAngle;
+      vertices.push({point: to, inAngle: endAngle, outAngle: null});
+    };
 
-      for (var i = 0; i < list.numberOfItems; i++) {
-        var seg = list.getItem(i);
-        var cmd = seg.pathSegTypeAsLetter;
-        switch (cmd) {
-          case "M":
-            x0 = x;
-            y0 = y;
-            to = [seg.x, seg.y];
-            op = "m";
-            break;
-          case "m":
-            x0 = x;
-            y0 = y;
-            to = [seg.x + x, seg.y + y];
-            op = "m";
-            break;
-          case "L":
-            to = [seg.x, seg.y];
-            op = "l";
-            break;
-          case "l":
-            to = [seg.x + x, seg.y + y];
-            op = "l";
-            break;
-          case "H":
-            to = [seg.x, y];
-            op = "l";
-            newX = seg.x;
-            newY = y;
-            break;
-          case "h":
-            to = [seg.x + x, y];
-            op = "l";
-            newX = seg.x + x;
-            newY = y;
-            break;
-          case "V":
-            to = [x, seg.y];
-            op = "l";
-            newX = x;
-            newY = seg.y;
-            break;
-          case "v":
-            to = [x, seg.y + y];
-            op = "l";
-            newX = x;
-            newY = seg.y + y;
-            break;
-          case "C":
-            p2 = [seg.x1, seg.y1];
-            p3 = [seg.x2, seg.y2];
-            to = [seg.x, seg.y];
-            break;
-          case "c":
-            p2 = [seg.x1 + x, seg.y1 + y];
-            p3 = [seg.x2 + x, seg.y2 + y];
-            to = [seg.x + x, seg.y + y];
-            break;
-          case "S":
-            p2 = getControlPointFromPrevious(i, [x, y], list, prevX, prevY);
-            p3 = [seg.x2, seg.y2];
-            to = [seg.x, seg.y];
-            break;
-          case "s":
-            p2 = getControlPointFromPrevious(i, [x, y], list, prevX, prevY);
-            p3 = [seg.x2 + x, seg.y2 + y];
-            to = [seg.x + x, seg.y + y];
-            break;
-          case "Q":
-            p = [seg.x1, seg.y1];
-            p2 = toCubic([x, y], p);
-            p3 = toCubic([seg.x, seg.y], p);
-            to = [seg.x, seg.y];
-            break;
-          case "q":
-            p = [seg.x1 + x, seg.y1 + y];
-            p2 = toCubic([x, y], p);
-            p3 = toCubic([x + seg.x, y + seg.y], p);
-            to = [seg.x + x, seg.y + y];
-            break;
-          case "T":
-            p2 = getControlPointFromPrevious(i, [x, y], list, prevX, prevY);
-            p2 = toCubic([x, y], p);
-            p3 = toCubic([seg.x, seg.y], p);
-            to = [seg.x, seg.y];
-            break;
-          case "t":
-            p = getControlPointFromPrevious(i, [x, y], list, prevX, prevY);
-            p2 = toCubic([x, y], p);
-            p3 = toCubic([x + seg.x, y + seg.y], p);
-            to = [seg.x + x, seg.y + y];
-            break;
-          // TODO: A,a
-          case "Z":
-          case "z":
-            x = x0;
-            y = y0;
-            lines.push({op: "h"});
+    for (var i = 0; i < list.numberOfItems; i++) {
+      var seg = list.getItem(i);
+      var cmd = seg.pathSegTypeAsLetter;
+      curves = null;
+      switch (cmd) {
+        case "M":
+          to = [seg.x, seg.y];
+          x0 = to[0];
+          y0 = to[1];
+          op = "m";
+          break;
+        case "m":
+          to = [seg.x + x, seg.y + y];
+          x0 = to[0];
+          y0 = to[1];
+          op = "m";
+          break;
+        case "L":
+          to = [seg.x, seg.y];
+          op = "l";
+          break;
+        case "l":
+          to = [seg.x + x, seg.y + y];
+          op = "l";
+          break;
+        case "H":
+          to = [seg.x, y];
+          op = "l";
+          newX = seg.x;
+          newY = y;
+          break;
+        case "h":
+          to = [seg.x + x, y];
+          op = "l";
+          newX = seg.x + x;
+          newY = y;
+          break;
+        case "V":
+          to = [x, seg.y];
+          op = "l";
+          newX = x;
+          newY = seg.y;
+          break;
+        case "v":
+          to = [x, seg.y + y];
+          op = "l";
+          newX = x;
+          newY = seg.y + y;
+          break;
+        case "C":
+          p2 = [seg.x1, seg.y1];
+          p3 = [seg.x2, seg.y2];
+          to = [seg.x, seg.y];
+          break;
+        case "c":
+          p2 = [seg.x1 + x, seg.y1 + y];
+          p3 = [seg.x2 + x, seg.y2 + y];
+          to = [seg.x + x, seg.y + y];
+          break;
+        case "S":
+          p2 = getControlPointFromPrevious(i, [x, y], list, prevX, prevY);
+          p3 = [seg.x2, seg.y2];
+          to = [seg.x, seg.y];
+          break;
+        case "s":
+          p2 = getControlPointFromPrevious(i, [x, y], list, prevX, prevY);
+          p3 = [seg.x2 + x, seg.y2 + y];
+          to = [seg.x + x, seg.y + y];
+          break;
+        case "Q":
+          p = [seg.x1, seg.y1];
+          p2 = toCubic([x, y], p);
+          p3 = toCubic([seg.x, seg.y], p);
+          to = [seg.x, seg.y];
+          break;
+        case "q":
+          p = [seg.x1 + x, seg.y1 + y];
+          p2 = toCubic([x, y], p);
+          p3 = toCubic([x + seg.x, y + seg.y], p);
+          to = [seg.x + x, seg.y + y];
+          break;
+        case "T":
+          p2 = getControlPointFromPrevious(i, [x, y], list, prevX, prevY);
+          p2 = toCubic([x, y], p);
+          p3 = toCubic([seg.x, seg.y], p);
+          to = [seg.x, seg.y];
+          break;
+        case "t":
+          p = getControlPointFromPrevious(i, [x, y], list, prevX, prevY);
+          p2 = toCubic([x, y], p);
+          p3 = toCubic([x + seg.x, y + seg.y], p);
+          to = [seg.x + x, seg.y + y];
+          break;
+        case "A":
+        case "a":
+          to = cmd === "A" ? [seg.x, seg.y] : [seg.x + x, seg.y + y];
+          arc = getArcCenterParameters([x, y], seg, to);
+          if (arc) {
+            curves = getArcCurves(arc, to);
+            p2 = curves[0][0];
+            p3 = curves[curves.length - 1][1];
+          } else {
+            // zero radii make a straight line, equal end points omit the segment
+            op = to[0] === x && to[1] === y ? null : "l";
+          }
+          break;
+        case "Z":
+        case "z":
+          // there is nothing to close before the first subpath
+          if (vertices.length === 0) {
             break;
-        }
-
-        var hasStartMarker = markerStart
-            && (i === 1
-            || ("mM".indexOf(cmd) < 0 && "mM".indexOf(list.getItem(i - 1).pathSegTypeAsLetter) >= 0));
-        var hasEndMarker = markerEnd
-            && (i === list.numberOfItems - 1
-            || ("mM".indexOf(cmd) < 0 && "mM".indexOf(list.getItem(i + 1).pathSegTypeAsLetter) >= 0));
-        var hasMidMarker = markerMid
-            && i > 0
-            && !(i === 1 && "mM".indexOf(list.getItem(i - 1).pathSegTypeAsLetter) >= 0);
-
-        if ("sScCqQtT".indexOf(cmd) >= 0) {
-          hasStartMarker && addMarker(getAngle([x, y], p2), [x, y], "start");
-          hasEndMarker && addMarker(getAngle(p3, to), to, "end");
-          if (hasMidMarker) {
-            curAngle = getAngle([x, y], p2);
-            curAngle = "mM".indexOf(list.getItem(i - 1).pathSegTypeAsLetter) >= 0 ?
-                curAngle : .5 * (prevAngle + curAngle);
-            addMarker(curAngle, [x, y], "mid");
           }
+          // the closing segment ends at the start of the subpath, so its directions are joined there
+          var start = vertices[subpathStart];
+          angle = getDirection([x, y], [start.point]);
+          angle !== null && addSegment(angle, start.point, angle);
+          var end = vertices[vertices.length - 1];
+          start.inAngle = end.inAngle;
+          end.outAngle = start.outAngle;
+          // a following segment starts a new subpath at the same point
+          subpathStart = vertices.length - 1;
+
+          x = x0;
+          y = y0;
+          lines.push({op: "h"});
+          break;
+      }
 
-          prevAngle = getAngle(p3, to);
-
-          prevX = x;
-          prevY = y;
-          p2 = multVecMatrix(p2, tfMatrix);
-          p3 = multVecMatrix(p3, tfMatrix);
-          p = multVecMatrix(to, tfMatrix);
+      if ("sScCqQtT".indexOf(cmd) >= 0 || curves) {
+        // the directions at the ends of curves are given by the nearest distinct control points
+        angle = getDirection(to, [p3, p2, [x, y]]);
+        addSegment(getDirection([x, y], [p2, p3, to]), to, angle === null ? null : angle + Math.PI);
+
+        prevX = x;
+        prevY = y;
+        curves = curves || [[p2, p3, to]];
+        for (var j = 0; j < curves.length; j++) {
+          p2 = multVecMatrix(curves[j][0], tfMatrix);
+          p3 = multVecMatrix(curves[j][1], tfMatrix);
+          p = multVecMatrix(curves[j][2], tfMatrix);
           lines.push({
             op: "c", c: [
               p2[0], p2[1],
@@ -798,341 +1659,2011 @@ SOFTWARE.
               p[0], p[1]
             ]
           });
-        } else if ("lLhHvVmM".indexOf(cmd) >= 0) {
-          curAngle = getAngle([x, y], to);
-          hasStartMarker && addMarker(curAngle, [x, y], "start");
-          hasEndMarker && addMarker(curAngle, to, "end");
-          if (hasMidMarker) {
-            var angle = "mM".indexOf(cmd) >= 0 ?
-                prevAngle : "mM".indexOf(list.getItem(i - 1).pathSegTypeAsLetter) >= 0 ?
-                curAngle : .5 * (prevAngle + curAngle);
-            addMarker(angle, [x, y], "mid");
+        }
+      } else if ("mM".indexOf(cmd) >= 0) {
+        vertices.push({point: to, inAngle: null, outAngle: null});
+        subpathStart = vertices.length - 1;
+        lines.push({op: op, c: multVecMatrix(to, tfMatrix)});
+      } else if ("lLhHvVaA".indexOf(cmd) >= 0 && op) {
+        angle = getDirection([x, y], [to]);
+        addSegment(angle, to, angle);
+        lines.push({op: op, c: multVecMatrix(to, tfMatrix)});
+      }
+
+      if ("MLCSQTA".indexOf(cmd) >= 0) {
+        x = seg.x;
+        y = seg.y;
+      } else if ("mlcsqta".indexOf(cmd) >= 0) {
+        x = seg.x + x;
+        y = seg.y + y;
+      } else if ("zZ".indexOf(cmd) < 0) {
+        x = newX;
+        y = newY;
+      }
+    }
+
+    return {lines: lines, vertices: vertices};
+  };
+
+  // converts the points of a polyline to a path segment list, so it can be treated like a path
+  var getPolylineSegList = function (node) {
+    var points = parsePointsString(node.getAttribute("points"));
+    var pathSegList = [];
+    for (var i = 0; i < points.length; i++) {
+      pathSegList.push({pathSegTypeAsLetter: i === 0 ? "M" : "L", x: points[i][0], y: points[i][1]});
+    }
+
+    pathSegList.getItem = function (i) {
+      return this[i]
+    };
+    pathSegList.numberOfItems = pathSegList.length;
+
+    return pathSegList;
+  };
+
+  // converts a path, line, polyline or polygon to a path segment list
+  var getShapeSegList = function (node) {
+    var list;
+    switch (node.tagName.toLowerCase()) {
+      case "path":
+        return getPathSegList(node);
+      case "line":
+        list = [
+          {pathSegTypeAsLetter: "M", x: getLength(node, "x1") || 0, y: getLength(node, "y1") || 0},
+          {pathSegTypeAsLetter: "L", x: getLength(node, "x2") || 0, y: getLength(node, "y2") || 0}
+        ];
+        list.getItem = function (i) {
+          return this[i];
+        };
+        list.numberOfItems = list.length;
+        return list;
+      case "polygon":
+        list = getPolylineSegList(node);
+        if (list.numberOfItems > 0) {
+          list.push({pathSegTypeAsLetter: "Z"});
+          list.numberOfItems = list.length;
+        }
+        return list;
+      default:
+        return getPolylineSegList(node);
+    }
+  };
+
+  // returns the angle of a marker at a vertex, which bisects the directions in which the path enters and leaves it
+  var getVertexAngle = function (vertex) {
+    if (vertex.inAngle === null) {
+      return vertex.outAngle || 0;
+    }
+    if (vertex.outAngle === null) {
+      return vertex.inAngle;
+    }
+    var difference = vertex.outAngle - vertex.inAngle;
+    difference -= 2 * Math.PI * Math.round(difference / (2 * Math.PI));
+    return vertex.inAngle + difference / 2;
+  };
+
+  // draws the markers of a path, line, polyline or polygon: marker-start at its first vertex, marker-end at its last
+  // and marker-mid at all others
+  var drawMarkers = function (node, tfMatrix, defs, svgIdPrefix, attributeState) {
+    var markerStart = getMarkerUrl(attributeState, "marker-start"),
+        markerMid = getMarkerUrl(attributeState, "marker-mid"),
+        markerEnd = getMarkerUrl(attributeState, "marker-end");
+    if (!markerStart && !markerMid && !markerEnd) {
+      return;
+    }
+
+    var vertices = getLinesFromPath(getShapeSegList(node), tfMatrix).vertices;
+    // markers are scaled by the stroke width, even if the shape is not stroked
+    var strokeWidth = Math.abs(parseLength(attributeState.values["stroke-width"], node));
+
+    var drawMarker = function (markerUrl, type, vertex) {
+      if (!markerUrl) {
+        return;
+      }
+      var markerId = svgIdPrefix.get() + iriReference.exec(markerUrl)[1];
+      var markerNode = getFromDefs(markerId, defs);
+      // shapes within a marker don't get the marker itself, which would be an endless recursion
+      for (var parent = node.parentNode; isElement(parent) && markerNode; parent = parent.parentNode) {
+        parent === markerNode && (markerNode = null);
+      }
+      if (markerNode) {
+        var marker = {type: type, anchor: vertex.point, angle: getVertexAngle(vertex)};
+        _pdf.doFormObject(markerId, computeMarkerTransform(markerNode, marker, strokeWidth, tfMatrix));
+      }
+    };
+
+    // the fill and stroke opacities don't apply to markers
+    _pdf.setGState(new _pdf.GState({opacity: attributeState.opacity, "stroke-opacity": attributeState.opacity}));
+    for (var i = 0; i < vertices.length; i++) {
+      i === 0 && drawMarker(markerStart, "start", vertices[i]);
+      i > 0 && i < vertices.length - 1 && drawMarker(markerMid, "mid", vertices[i]);
+      i === vertices.length - 1 && drawMarker(markerEnd, "end", vertices[i]);
+    }
+  };
+
+  // parses an angle (e.g. "90", "90deg", "1.5rad" or "0.25turn") and returns it in radians or NaN if it is invalid
+  var parseAngle = function (value) {
+    var match = /^\s*([+-]?(?:\d+\.?\d*|\d*\.?\d+)(?:[eE][+-]?\d+)?)(deg|grad|rad|turn)?\s*$/i.exec(value || "");
+    if (!match) {
+      return NaN;
+    }
+    var angle = parseFloat(match[1]);
+    switch ((match[2] || "deg").toLowerCase()) {
+      case "grad":
+        return angle * Math.PI / 200;
+      case "rad":
+        return angle;
+      case "turn":
+        return angle * 2 * Math.PI;
+      default:
+        return angle * Math.PI / 180;
+    }
+  };
+
+  // computes the transformation of a marker instance at a vertex. The marker is rotated according to its orient
+  // attribute, either to the path direction at the vertex or by a fixed angle, and scaled by the stroke width unless
+  // its markerUnits are "userSpaceOnUse"
+  var computeMarkerTransform = function (markerNode, marker, strokeWidth, tfMatrix) {
+    var angle = marker.angle;
+    var orient = (markerNode.getAttribute("orient") || "").trim();
+    if (orient === "auto-start-reverse") {
+      marker.type === "start" && (angle += Math.PI);
+    } else if (orient !== "auto") {
+      angle = parseAngle(orient) || 0;
+    }
+
+    var cos = Math.cos(angle);
+    var sin = Math.sin(angle);
+    var tf = new _pdf.Matrix(cos, sin, -sin, cos, marker.anchor[0], marker.anchor[1]);
+
+    var markerUnits = markerNode.getAttribute("markerUnits");
+    if (!markerUnits || markerUnits.toLowerCase() !== "userspaceonuse") {
+      tf = _pdf.matrixMult(new _pdf.Matrix(strokeWidth, 0, 0, strokeWidth, 0, 0), tf);
+    }
+
+    return _pdf.matrixMult(tf, tfMatrix);
+  };
+
+  // returns the marker reference of one of the marker properties or null if there is none
+  var getMarkerUrl = function (attributeState, property) {
+    var value = attributeState.values[property];
+    return value && iriReference.test(value) ? value : null;
+  };
+
+  // returns true iff two attribute states have the same inherited values and opacity
+  var isSameAttributeState = function (state, otherState) {
+    for (var property in inheritedProperties) {
+      if (inheritedProperties.hasOwnProperty(property) && state.values[property] !== otherState.values[property]) {
+        return false;
+      }
+    }
+    return state.opacity === otherState.opacity;
+  };
+
+  // draws the element referenced by a use node, makes use of pdf's XObjects/FormObjects so nodes are only written once
+  // to the pdf document. This highly reduces the file size and computation time. The form object inherited its
+  // properties from the defs, so if the use node passes different ones, the element is rendered again in place
+  var use = function (node, tfMatrix, defs, svgIdPrefix, attributeState) {
+    var url = (node.getAttribute("href") || node.getAttribute("xlink:href"));
+    // just in case someone has the idea to use empty use-tags, wtf???
+    if (!url)
+      return;
+
+    // get the size of the referenced form object (to apply the correct scaling)
+    var id = svgIdPrefix.get() + url.substring(1);
+    var formObject = _pdf.getFormObject(id);
+    if (!formObject)
+      return;
+
+    var x = getLength(node, "x") || 0;
+    var y = getLength(node, "y") || 0;
+    var width, height, t;
+    var symbol = defs[id];
+    if (symbol && nodeIs(symbol, "symbol")) {
+      // a symbol establishes a new viewport with the size of the use element
+      var viewBox = symbol.getAttribute("viewBox");
+      var bounds = viewBox && parseFloats(viewBox);
+      width = getLength(node, "width") || getLength(symbol, "width") || (bounds && bounds[2]);
+      height = getLength(node, "height") || getLength(symbol, "height") || (bounds && bounds[3]);
+
+      t = bounds && width && height ?
+          computeViewBoxTransform(bounds, x, y, width, height, symbol.getAttribute("preserveAspectRatio")) :
+          new _pdf.Matrix(1, 0, 0, 1, x, y);
+
+      var overflow = getAttribute(symbol, "overflow");
+      if (width && height && overflow !== "visible" && overflow !== "auto") {
+        clipRect(x, y, width, height, tfMatrix);
+      }
+    } else {
+      // scale and position it right
+      width = getLength(node, "width") || formObject.width;
+      height = getLength(node, "height") || formObject.height;
+      t = new _pdf.Matrix(width / formObject.width || 0, 0, 0, height / formObject.height || 0, x, y);
+    }
+    t = _pdf.matrixMult(t, tfMatrix);
+
+    var target = getReferencedElement(node);
+    if (!target || !target.svg2pdfParentAttributeState || nodeIs(target, "marker")
+        || isSameAttributeState(target.svg2pdfParentAttributeState, attributeState)) {
+      _pdf.doFormObject(id, t);
+    } else if (nodeIs(target, "symbol")) {
+      // symbols are always drawn on form objects by renderNode, so draw their children here
+      var symbolAttributeState = computeAttributeState(target, attributeState);
+      applyClipPath(target, target, t, defs, svgIdPrefix);
+      applyMask(target, t, defs, svgIdPrefix, symbolAttributeState);
+      renderChildren(target, t, defs, svgIdPrefix, false, symbolAttributeState);
+    } else {
+      renderNode(target, t, defs, svgIdPrefix, false, attributeState);
+    }
+  };
+
+  // draws a line
+  var line = function (node, tfMatrix) {
+    var p1 = multVecMatrix([getLength(node, "x1") || 0, getLength(node, "y1") || 0], tfMatrix);
+    var p2 = multVecMatrix([getLength(node, "x2") || 0, getLength(node, "y2") || 0], tfMatrix);
+    _pdf.line(p1[0], p1[1], p2[0], p2[1]);
+  };
+
+  // draws a rect
+  var rect = function (node, colorMode, gradient, gradientMatrix) {
+    _pdf.roundedRect(
+        getLength(node, "x") || 0,
+        getLength(node, "y") || 0,
+        getLength(node, "width"),
+        getLength(node, "height"),
+        getLength(node, "rx") || 0,
+        getLength(node, "ry") || 0,
+        colorMode,
+        gradient,
+        gradientMatrix
+    );
+  };
+
+  // draws an ellipse
+  var ellipse = function (node, colorMode, gradient, gradientMatrix) {
+    _pdf.ellipse(
+        getLength(node, "cx") || 0,
+        getLength(node, "cy") || 0,
+        getLength(node, "rx"),
+        getLength(node, "ry"),
+        colorMode,
+        gradient,
+        gradientMatrix
+    );
+  };
+
+  // draws a circle
+  var circle = function (node, colorMode, gradient, gradientMatrix) {
+    var radius = getLength(node, "r") || 0;
+    _pdf.ellipse(
+        getLength(node, "cx") || 0,
+        getLength(node, "cy") || 0,
+        radius,
+        radius,
+        colorMode,
+        gradient,
+        gradientMatrix
+    );
+  };
+
+  // draws a shape without its markers
+  var drawShape = function (node, tfMatrix, colorMode, gradient, gradientMatrix) {
+    switch (node.tagName.toLowerCase()) {
+      case "line":
+        line(node, tfMatrix);
+        break;
+      case "rect":
+      case "ellipse":
+      case "circle":
+        // these are drawn within their transformation
+        _pdf.saveGraphicsState();
+        _pdf.setCurrentTransformationMatrix(tfMatrix);
+        if (nodeIs(node, "rect")) {
+          rect(node, colorMode, gradient, gradientMatrix);
+        } else if (nodeIs(node, "ellipse")) {
+          ellipse(node, colorMode, gradient, gradientMatrix);
+        } else {
+          circle(node, colorMode, gradient, gradientMatrix);
+        }
+        _pdf.restoreGraphicsState();
+        break;
+      case "polygon":
+        polygon(node, tfMatrix, colorMode, gradient, gradientMatrix);
+        break;
+      case "path":
+      case "polyline":
+        var lines = getLinesFromPath(nodeIs(node, "path") ? getPathSegList(node) : getPolylineSegList(node), tfMatrix);
+        lines.lines.length > 0 && _pdf.path(lines.lines, colorMode, gradient, gradientMatrix);
+        break;
+    }
+  };
+
+  // draws the outline of a text with the current stroke properties. jsPDF keeps track of the text rendering mode, but
+  // doesn't notice when it is reset by restoring the graphics state
+  var strokeText = function (x, y, text, tfMatrix) {
+    var pageContext = _pdf.internal.getCurrentPageInfo().pageContext;
+    _pdf.saveGraphicsState();
+    _pdf.text(x, y, text, {stroke: true}, tfMatrix);
+    _pdf.restoreGraphicsState();
+    pageContext.lastTextWasStroke = false;
+  };
+
+  // applies text transformations to a text node
+  var transformText = function (attributeState, text) {
+    var textTransform = attributeState.values["text-transform"];
+    switch (textTransform) {
+      case "uppercase": return text.toUpperCase();
+      case "lowercase": return text.toLowerCase();
+      default: return text;
+      // TODO: capitalize, full-width
+    }
+  };
+
+  // the ascent and descent of the standard fonts (from their font metrics) relative to the font size
+  var standardFontExtents = {
+    "helvetica": [0.718, 0.207],
+    "times": [0.683, 0.217],
+    "courier": [0.629, 0.157]
+  };
+
+  // returns the jsPDF font of an attribute state without selecting it
+  var getFont = function (attributeState) {
+    var font = resolveFont(attributeState);
+    return _pdf.internal.getFont(font.fontName, font.fontStyle);
+  };
+
+  // returns the advance widths of the characters of a text in user units. They are computed from the metrics of the
+  // pdf font (the width tables of the standard fonts or the hmtx table of embedded fonts)
+  var getCharWidths = function (text, attributeState) {
+    var metadata = getFont(attributeState).metadata;
+    var fontSize = parseFloat(attributeState.values["font-size"]);
+    var widths = _pdf.getCharWidthsArray(text, metadata.Unicode
+        ? {widths: metadata.Unicode.widths, kerning: metadata.Unicode.kerning}
+        : {font: metadata, fontSize: fontSize, charSpace: 0});
+    for (var i = 0; i < widths.length; i++) {
+      widths[i] *= fontSize;
+    }
+    return widths;
+  };
+
+  // measures the advance widths of the characters of a text in the browser instead, which renders it invisibly with the
+  // font properties of the attribute state
+  var measureCharWidthsInDom = function (text, attributeState) {
+    var svgNamespace = "http://www.w3.org/2000/svg";
+    var svg = document.createElementNS(svgNamespace, "svg");
+    var textElement = document.createElementNS(svgNamespace, "text");
+    ["font-family", "font-size", "font-style", "font-weight"].forEach(function (property) {
+      attributeState.values[property] && textElement.setAttribute(property, attributeState.values[property]);
+    });
+    textElement.setAttributeNS("http://www.w3.org/XML/1998/namespace", "xml:space", "preserve");
+    textElement.textContent = text;
+    svg.setAttribute("visibility", "hidden");
+    svg.appendChild(textElement);
+    document.body.appendChild(svg);
+
+    var widths = [];
+    for (var i = 0; i < text.length; i++) {
+      widths.push(textElement.getSubStringLength(i, 1));
+    }
+    document.body.removeChild(svg);
+    return widths;
+  };
+
+  // returns the ascent and descent of the pdf font of an attribute state in user units
+  var getFontExtent = function (attributeState) {
+    var font = getFont(attributeState);
+    var fontSize = parseFloat(attributeState.values["font-size"]);
+    if (!font.metadata.Unicode) {
+      return [font.metadata.ascender / 1000 * fontSize, -font.metadata.decender / 1000 * fontSize];
+    }
+    var extent = standardFontExtents[font.fontName] || [0.8, 0.2];
+    return [extent[0] * fontSize, extent[1] * fontSize];
+  };
+
+  // flattens pdf path operations in user space to a list of straight segments {from, to, start, length}, where start
+  // is the distance along the path at which the segment begins. Moves between subpaths don't add to the distance
+  var flattenPath = function (lines) {
+    var segments = [];
+    var length = 0;
+    var current = [0, 0], subpathStart = current;
+
+    var addSegment = function (to) {
+      var segmentLength = Math.sqrt(Math.pow(to[0] - current[0], 2) + Math.pow(to[1] - current[1], 2));
+      if (segmentLength > 0) {
+        segments.push({from: current, to: to, start: length, length: segmentLength});
+        length += segmentLength;
+      }
+      current = to;
+    };
+
+    lines.forEach(function (line) {
+      var c = line.c;
+      switch (line.op) {
+        case "m":
+          current = subpathStart = c;
+          break;
+        case "l":
+          addSegment(c);
+          break;
+        case "c":
+          // approximate the bezier curve by a polyline
+          var from = current;
+          for (var i = 1; i <= 32; i++) {
+            var t = i / 32, s = 1 - t;
+            addSegment([
+              s * s * s * from[0] + 3 * s * s * t * c[0] + 3 * s * t * t * c[2] + t * t * t * c[4],
+              s * s * s * from[1] + 3 * s * s * t * c[1] + 3 * s * t * t * c[3] + t * t * t * c[5]
+            ]);
           }
-          prevAngle = curAngle;
+          break;
+        case "h":
+          addSegment(subpathStart);
+          break;
+      }
+    });
+
+    return {segments: segments, length: length};
+  };
+
+  // returns the point at a distance along a flattened path and the direction of the path there, or null if the
+  // distance is beyond its ends
+  var getPathPoint = function (path, distance) {
+    var segments = path.segments;
+    if (distance < 0 || distance > path.length || segments.length === 0) {
+      return null;
+    }
+    for (var i = 0; i < segments.length; i++) {
+      var segment = segments[i];
+      if (distance <= segment.start + segment.length || i === segments.length - 1) {
+        var t = (distance - segment.start) / segment.length;
+        return {
+          point: [
+            segment.from[0] + t * (segment.to[0] - segment.from[0]),
+            segment.from[1] + t * (segment.to[1] - segment.from[1])
+          ],
+          angle: getAngle(segment.from, segment.to)
+        };
+      }
+    }
+  };
+
+  // returns the path that a textPath element references, flattened in the user space of the text (see flattenPath),
+  // with the distance startOffset along it at which the text starts. The path is reversed for side="right". Returns
+  // null if the reference is missing or no shape. method="stretch" is treated like "align", because pdf text can't
+  // be warped
+  var getTextPath = function (textPath) {
+    var pathNode = getReferencedElement(textPath);
+    if (!pathNode || !nodeIs(pathNode, "path,line,polyline,polygon")) {
+      return null;
+    }
+
+    var path = flattenPath(getLinesFromPath(getShapeSegList(pathNode),
+        parseTransform(pathNode.getAttribute("transform"))).lines);
+
+    if (textPath.getAttribute("side") === "right") {
+      path.segments = path.segments.reverse().map(function (segment) {
+        return {
+          from: segment.to,
+          to: segment.from,
+          start: path.length - segment.start - segment.length,
+          length: segment.length
+        };
+      });
+    }
+
+    // percentages refer to the length of the path, other lengths to the author's path length if specified
+    var startOffset = textPath.getAttribute("startOffset") || "0";
+    var pathLength = parseFloat(pathNode.getAttribute("pathLength"));
+    path.startOffset = (/%\s*$/.test(startOffset)
+        ? parseFloat(startOffset) / 100 * path.length
+        : parseLength(startOffset, textPath) * (pathLength > 0 ? path.length / pathLength : 1)) || 0;
+    return path;
+  };
+
+  // puts a glyph span, that has been laid out along a text path (x is the distance along the path, y the offset
+  // perpendicular to it), onto the path: its midpoint is placed on the path and it's rotated in the direction of the
+  // path there. Glyphs whose midpoints are beyond the ends of the path are hidden
+  var placeOnTextPath = function (span, path) {
+    var middle = getPathPoint(path, span.x + span.width / 2);
+    if (!middle) {
+      span.hidden = true;
+      return;
+    }
+    var cos = Math.cos(middle.angle), sin = Math.sin(middle.angle);
+    span.x = middle.point[0] - cos * span.width / 2 - sin * span.y;
+    span.y = middle.point[1] - sin * span.width / 2 + cos * span.y;
+    span.rotate += middle.angle * 180 / Math.PI;
+  };
+
+  // collects the text runs of a text element: the texts of its descendant text nodes with the element, attribute state
+  // and text path (see getTextPath) they belong to. Unless xml:space="preserve" is set, white space is collapsed across
+  // the runs and stripped at the start and end. Each run also gets the index of its first character within the whole
+  // text and its ancestor elements (from the text element inward) with the indices of their first characters, which
+  // the positioning attributes refer to
+  var getTextRuns = function (textElement, attributeState) {
+    var runs = [];
+    var ancestors = [];
+    var length = 0;
+    var previousEndsWithSpace = true;
+
+    var collectRuns = function (element, elementAttributeState, preserveSpace, textPath) {
+      var xmlSpace = element.getAttribute("xml:space");
+      preserveSpace = xmlSpace ? xmlSpace === "preserve" : preserveSpace;
+      ancestors.push({element: element, start: length});
+
+      for (var i = 0; i < element.childNodes.length; i++) {
+        var child = element.childNodes[i];
+        if (child.nodeType === 3 || child.nodeType === 4) {
+          var text = child.data.replace(/[\n\r\t]/g, " ");
+          if (!preserveSpace) {
+            text = text.replace(/ +/g, " ");
+            previousEndsWithSpace && (text = text.replace(/^ /, ""));
+          }
+          if (text) {
+            runs.push({
+              text: transformText(elementAttributeState, text),
+              element: element,
+              attributeState: elementAttributeState,
+              start: length,
+              ancestors: ancestors.slice(),
+              preserveSpace: preserveSpace,
+              textPath: textPath
+            });
+            length += text.length;
+            previousEndsWithSpace = text.charAt(text.length - 1) === " ";
+          }
+        } else if (isElement(child) && nodeIs(child, "tspan,a,textpath") && getAttribute(child, "display") !== "none") {
+          if (!nodeIs(child, "textpath")) {
+            collectRuns(child, computeAttributeState(child, elementAttributeState), preserveSpace, textPath);
+          } else if (!textPath) {
+            // text paths with invalid references are not rendered
+            var path = getTextPath(child);
+            path && collectRuns(child, computeAttributeState(child, elementAttributeState), preserveSpace, path);
+          }
+        }
+      }
+
+      ancestors.pop();
+    };
+    collectRuns(textElement, attributeState, false, null);
+
+    // strip the trailing space
+    var lastRun = runs[runs.length - 1];
+    if (lastRun && !lastRun.preserveSpace) {
+      lastRun.text = lastRun.text.replace(/ $/, "");
+      lastRun.text || runs.pop();
+    }
+    return runs;
+  };
+
+  // returns the values of the positioning attributes (x, y, dx, dy, rotate) of an element, which are lists that are
+  // assigned to its characters one by one. The result is cached at the element
+  var getTextPositions = function (element) {
+    if (element.svg2pdfTextPositions) {
+      return element.svg2pdfTextPositions;
+    }
+
+    var positions = {};
+    ["x", "y", "dx", "dy"].forEach(function (attribute) {
+      positions[attribute] = (element.getAttribute(attribute) || "").split(/[\s,]+/).filter(Boolean)
+          .map(function (value) {
+            return parseLength(value, element, lengthAttributeDirections[attribute]);
+          });
+    });
+    positions.rotate = parseFloats(element.getAttribute("rotate") || "");
+    return element.svg2pdfTextPositions = positions;
+  };
+
+  // returns the value of a positioning attribute for the character at index from the innermost ancestor element of the
+  // run whose list covers it, or NaN. The last rotation of a list also applies to the remaining characters
+  var getCharPosition = function (run, index, attribute) {
+    for (var i = run.ancestors.length - 1; i >= 0; i--) {
+      var values = getTextPositions(run.ancestors[i].element)[attribute];
+      var valueIndex = index - run.ancestors[i].start;
+      if (valueIndex < values.length) {
+        return values[valueIndex];
+      }
+      if (attribute === "rotate" && values.length > 0) {
+        return values[values.length - 1];
+      }
+    }
+    return NaN;
+  };
+
+  // lays out the text runs following the svg text chunk algorithm and returns them as spans {run, text, x, y, rotate,
+  // width} that can be drawn at once. Characters with absolute positions and text paths start new text chunks, which
+  // are aligned as a whole according to their text-anchor. Characters with position adjustments or rotations and
+  // glyphs on text paths start new spans
+  var layoutText = function (runs) {
+    var x = 0, y = 0;
+    var spans = [];
+    var chunk = null, span = null;
+    var chunks = [];
+    var textPath = null; // within text paths x is the distance along the path and y the offset perpendicular to it
+
+    runs.forEach(function (run) {
+      var widths = (_textMeasurement === "dom" ? measureCharWidthsInDom : getCharWidths)(run.text, run.attributeState);
+      for (var i = 0; i < run.text.length; i++) {
+        var index = run.start + i;
+        var textPathChanged = run.textPath !== textPath;
+        if (textPathChanged) {
+          // the text after a text path continues at its end
+          var end = textPath && getPathPoint(textPath, Math.min(Math.max(x, 0), textPath.length));
+          if (end) {
+            x = end.point[0];
+            y = end.point[1];
+          }
+          textPath = run.textPath;
+          if (textPath) {
+            x = textPath.startOffset;
+            y = 0;
+          }
+        }
+
+        var absoluteX = getCharPosition(run, index, "x");
+        var absoluteY = textPath ? NaN : getCharPosition(run, index, "y");
+        var dx = getCharPosition(run, index, "dx");
+        var dy = getCharPosition(run, index, "dy");
+        var rotate = getCharPosition(run, index, "rotate") || 0;
+
+        var startsChunk = !chunk || textPathChanged || !isNaN(absoluteX) || !isNaN(absoluteY);
+        if (startsChunk) {
+          chunk = {spans: [], start: isNaN(absoluteX) ? x : absoluteX, end: 0, textPath: textPath};
+          chunks.push(chunk);
+        }
+        x = (isNaN(absoluteX) ? x : absoluteX) + (dx || 0);
+        y = (isNaN(absoluteY) ? y : absoluteY) + (dy || 0);
+
+        if (i === 0 || startsChunk || !isNaN(dx) || !isNaN(dy) || rotate || span.rotate || textPath) {
+          span = {run: run, text: "", x: x, y: y, rotate: rotate, width: 0};
+          spans.push(span);
+          chunk.spans.push(span);
+        }
+        span.text += run.text.charAt(i);
+        span.width += widths[i];
+        x += widths[i];
+        chunk.end = x;
+      }
+    });
+
+    chunks.forEach(function (chunk) {
+      var width = chunk.end - chunk.start;
+      var offset = 0;
+      switch (chunk.spans[0].run.attributeState.values["text-anchor"]) {
+        case "middle":
+          offset = -width / 2;
+          break;
+        case "end":
+          offset = -width;
+          break;
+      }
+      chunk.spans.forEach(function (span) {
+        span.x += offset;
+        chunk.textPath && placeOnTextPath(span, chunk.textPath);
+      });
+    });
+
+    return spans;
+  };
+
+  // draws a text element and its tspan children
+  var text = function (node, tfMatrix, defs, svgIdPrefix, attributeState, fillRGB) {
+    var spans = layoutText(getTextRuns(node, attributeState));
+
+    // the bounding box of all spans (ignoring rotations) for paint servers
+    var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    spans.forEach(function (span) {
+      var extent = getFontExtent(span.run.attributeState);
+      minX = Math.min(minX, span.x);
+      maxX = Math.max(maxX, span.x + span.width);
+      minY = Math.min(minY, span.y - extent[0]);
+      maxY = Math.max(maxY, span.y + extent[1]);
+    });
+    var textBBox = spans.length > 0 ? [minX, minY, maxX - minX, maxY - minY] : [0, 0, 0, 0];
+
+    // fills and strokes a chunk of text with the paint of the element it belongs to
+    var drawText = function (x, y, text, element, elementAttributeState, matrix) {
+      // jsPDF encodes text for embedded fonts only if it's passed as list of lines
+      text = [text];
+      if (elementAttributeState.values["fill"] !== "none") {
+        _pdf.text(x, y, text, void 0, matrix);
+      }
+
+      var stroke = elementAttributeState.values["stroke"];
+      if (stroke === "none" || setStrokeProperties(element, elementAttributeState) === 0) {
+        return;
+      }
+
+      var url = iriReference.exec(stroke);
+      var paintServer = url && getFromDefs(svgIdPrefix.get() + url[1], defs);
+      var paintData = paintServer && getPaintServerData(paintServer, node, textBBox, tfMatrix);
+      if (paintData) {
+        paintThroughMask(function () {
+          setStrokeProperties(element, elementAttributeState);
+          strokeText(x, y, text, matrix);
+        }, paintServer, svgIdPrefix.get() + url[1], paintData,
+            elementAttributeState.opacity * parseFraction(elementAttributeState.values["stroke-opacity"], 1));
+      } else {
+        // plain color or the fallback color of an unsupported paint server
+        var strokeRGB = parseColor(url ? stroke.replace(iriReference, "").trim() : stroke,
+            elementAttributeState.values["color"]);
+        if (strokeRGB.ok) {
+          _pdf.setDrawColor(strokeRGB.r, strokeRGB.g, strokeRGB.b);
+          strokeText(x, y, text, matrix);
+        }
+      }
+    };
+
+    _pdf.saveGraphicsState();
+    spans.forEach(function (span) {
+      var run = span.run;
+      if (span.hidden || run.attributeState.values["visibility"] !== "visible") {
+        return;
+      }
+      _pdf.saveGraphicsState();
+      var fillColor = run.element === node ? fillRGB : getTextFillColor(run.attributeState);
+      setTextProperties(run.attributeState, fillColor);
+
+      // the opacity of the span is computed like the opacity of shapes, but from the element the span belongs to
+      var strokeColor = getTextStrokeColor(run.attributeState);
+      var fillOpacity = run.attributeState.opacity * parseFraction(run.attributeState.values["fill-opacity"], 1);
+      var strokeOpacity = run.attributeState.opacity * parseFraction(run.attributeState.values["stroke-opacity"], 1);
+      if (fillColor) {
+        fillOpacity *= fillColor.a;
+      }
+      if (strokeColor) {
+        strokeOpacity *= strokeColor.a;
+      }
+      _pdf.setGState(new _pdf.GState({opacity: fillOpacity, "stroke-opacity": strokeOpacity}));
+
+      if (span.rotate) {
+        // rotated glyphs are drawn one by one around their origin
+        var angle = span.rotate * Math.PI / 180;
+        var matrix = _pdf.matrixMult(new _pdf.Matrix(Math.cos(angle), Math.sin(angle), -Math.sin(angle),
+            Math.cos(angle), span.x, span.y), tfMatrix);
+        drawText(0, 0, span.text, run.element, run.attributeState, matrix);
+      } else {
+        drawText(span.x, span.y, span.text, run.element, run.attributeState, tfMatrix);
+      }
+      _pdf.restoreGraphicsState();
+    });
+    _pdf.restoreGraphicsState();
+  };
+
+  // the svg 1.1 features that are (at least partially) supported, for the evaluation of requiredFeatures attributes
+  var supportedFeatures = [
+    "SVG", "SVG-static", "CoreAttribute", "Structure", "BasicStructure", "ContainerAttribute", "ConditionalProcessing",
+    "Image", "Style", "ViewportAttribute", "Shape", "Text", "BasicText", "PaintAttribute", "BasicPaintAttribute",
+    "OpacityAttribute", "GraphicsAttribute", "BasicGraphicsAttribute", "Marker", "Gradient", "Pattern", "Clip",
+    "BasicClip", "Mask", "Hyperlinking", "XlinkAttribute"
+  ];
+
+  // evaluates the conditional processing attributes requiredFeatures, requiredExtensions and systemLanguage of a node
+  var testConditions = function (node) {
+    var features = node.getAttribute("requiredFeatures");
+    if (features !== null) {
+      features = features.trim().split(/\s+/);
+      for (var i = 0; i < features.length; i++) {
+        var feature = /^http:\/\/www\.w3\.org\/TR\/SVG11\/feature#(.+)$/.exec(features[i]);
+        if (!feature || supportedFeatures.indexOf(feature[1]) < 0) {
+          return false;
+        }
+      }
+    }
+
+    // there are no supported extensions
+    if (node.getAttribute("requiredExtensions") !== null) {
+      return false;
+    }
+
+    var languages = node.getAttribute("systemLanguage");
+    if (languages !== null) {
+      languages = languages.split(",");
+      for (i = 0; i < languages.length; i++) {
+        var language = languages[i].trim().toLowerCase();
+        for (var j = 0; j < _languages.length; j++) {
+          // languages match if they are equal or one is a prefix of the other (e.g. "en" and "en-US"), like browsers do
+          var userLanguage = _languages[j].toLowerCase();
+          if (language && (language === userLanguage
+              || language.indexOf(userLanguage + "-") === 0 || userLanguage.indexOf(language + "-") === 0)) {
+            return true;
+          }
+        }
+      }
+      return false;
+    }
+
+    return true;
+  };
+
+  // renders the first child of a switch node whose conditional processing attributes evaluate to true
+  var switchNode = function (node, tfMatrix, defs, svgIdPrefix, withinDefs, attributeState) {
+    var rendered = false;
+    forEachChild(node, function (i, child) {
+      if (!rendered && !nodeIs(child, "style,title,desc,metadata,script") && testConditions(child)) {
+        renderNode(child, tfMatrix, defs, svgIdPrefix, withinDefs, attributeState);
+        rendered = true;
+      }
+    });
+  };
+
+  // As defs, symbol and marker elements are allowed to appear after they are referenced, we search for them first
+  var findAndRenderDefs = function (node, tfMatrix, defs, svgIdPrefix, withinDefs, attributeState) {
+    forEachChild(node, function (i, child) {
+      if (nodeIs(child, "defs,symbol,marker")) {
+        renderNode(child, tfMatrix, defs, svgIdPrefix, withinDefs, attributeState);
+        // prevent defs from being evaluated twice. They stay in the document, so lengths within them can be resolved
+        child.svg2pdfRendered = true;
+      }
+    });
+  };
+
+  // intersects the current clipping region with the viewport of a svg element (unless its overflow is visible). tfMatrix
+  // is the transformation to the user space of its contents
+  var clipToViewport = function (node, tfMatrix) {
+    var overflow = getAttribute(node, "overflow");
+    if (overflow === "visible" || overflow === "auto") {
+      return;
+    }
+
+    var x = getLength(node, "x") || 0,
+        y = getLength(node, "y") || 0,
+        width = getLength(node, "width"),
+        height = getLength(node, "height");
+
+    var viewBox = node.getAttribute("viewBox");
+    var viewBoxTransform = new _pdf.Matrix(1, 0, 0, 1, x, y);
+    if (viewBox) {
+      var bounds = parseFloats(viewBox);
+      isNaN(width) && (width = bounds[2]);
+      isNaN(height) && (height = bounds[3]);
+      viewBoxTransform = computeViewBoxTransform(bounds, x, y, width, height, node.getAttribute("preserveAspectRatio"));
+    }
+    if (isNaN(width) || isNaN(height)) {
+      return;
+    }
+
+    // the viewport in the coordinates of the contents
+    clipRect(
+        (x - viewBoxTransform.e) / viewBoxTransform.a,
+        (y - viewBoxTransform.f) / viewBoxTransform.d,
+        width / viewBoxTransform.a,
+        height / viewBoxTransform.d,
+        tfMatrix
+    );
+  };
+
+  // intersects the current clipping region with a rectangle that is transformed by tfMatrix
+  var clipRect = function (x, y, width, height, tfMatrix) {
+    putLines(toLines([
+      ["m", x, y],
+      ["l", x + width, y],
+      ["l", x + width, y + height],
+      ["l", x, y + height],
+      ["h"]
+    ], tfMatrix));
+    _pdf.internal.write("W n");
+  };
+
+  // processes a svg node
+  var svg = function (node, tfMatrix, defs, svgIdPrefix, withinDefs, attributeState) {
+    // nested svg elements establish a new viewport
+    isElement(node.parentNode) && clipToViewport(node, tfMatrix);
+
+    // create a new prefix and clone the defs, as defs within the svg should not be visible outside
+    var newSvgIdPrefix = svgIdPrefix.nextChild();
+    var newDefs = cloneDefs(defs);
+    findAndRenderDefs(node, tfMatrix, newDefs, newSvgIdPrefix, withinDefs, attributeState);
+    renderChildren(node, tfMatrix, newDefs, newSvgIdPrefix, withinDefs, attributeState);
+  };
+
+  // renders all children of a node
+  var renderChildren = function (node, tfMatrix, defs, svgIdPrefix, withinDefs, attributeState) {
+    forEachChild(node, function (i, node) {
+      renderNode(node, tfMatrix, defs, svgIdPrefix, withinDefs, attributeState);
+    });
+  };
+
+  // maps the ids of all elements to the elements, at the svg element they belong to (the root or the nearest nested
+  // svg element). If ids are used more than once, the first element counts
+  var collectElementIds = function (node, svgNode) {
+    var id = node.getAttribute("id");
+    if (id && svgNode && !svgNode.svg2pdfElementsById.hasOwnProperty(id)) {
+      svgNode.svg2pdfElementsById[id] = node;
+    }
+    if (!svgNode || nodeIs(node, "svg")) {
+      node.svg2pdfElementsById = {};
+      svgNode = node;
+    }
+    forEachChild(node, function (i, child) {
+      collectElementIds(child, svgNode);
+    });
+  };
+
+  // returns the element that a node references by its href (e.g. the template of a gradient or the path of a
+  // textPath), or null. Like defs, ids are searched within the nearest svg element first and then in the outer ones
+  var getReferencedElement = function (node) {
+    var href = node.getAttribute("href") || node.getAttribute("xlink:href");
+    var match = href && /^\s*#(.+?)\s*$/.exec(href);
+    if (!match) {
+      return null;
+    }
+
+    for (var parent = node; isElement(parent); parent = parent.parentNode) {
+      var elements = parent.svg2pdfElementsById;
+      if (elements && elements.hasOwnProperty(match[1])) {
+        return elements[match[1]];
+      }
+    }
+    return null;
+  };
+
+  // returns the node followed by the chain of templates it references (ignoring templates of other types than tags).
+  // The chain is cached at the node, as every attribute lookup needs it
+  var getTemplateChain = function (node, tags) {
+    node.svg2pdfTemplateChains = node.svg2pdfTemplateChains || {};
+    if (node.svg2pdfTemplateChains[tags]) {
+      return node.svg2pdfTemplateChains[tags];
+    }
+
+    var chain = [node];
+    var template = getReferencedElement(node);
+    while (template && nodeIs(template, tags) && chain.indexOf(template) < 0) {
+      chain.push(template);
+      template = getReferencedElement(template);
+    }
+    return node.svg2pdfTemplateChains[tags] = chain;
+  };
+
+  // returns the value of an attribute of a gradient or pattern, which may be inherited from its templates
+  var getTemplateAttribute = function (node, attribute, tags) {
+    var chain = getTemplateChain(node, tags);
+    for (var i = 0; i < chain.length; i++) {
+      if (chain[i].hasAttribute(attribute)) {
+        return chain[i].getAttribute(attribute);
+      }
+    }
+    return null;
+  };
+
+  // returns the (normalized) stops of a gradient as list of {offset, color, opacity}, where the opacity combines the
+  // stop-opacity with the alpha value of the stop-color. The stops are inherited from templates if it has none
+  var getGradientStops = function (node) {
+    var stops = [];
+    var chain = getTemplateChain(node, "lineargradient,radialgradient");
+    for (var i = 0; i < chain.length && stops.length === 0; i++) {
+      forEachChild(chain[i], function (j, element) {
+        if (element.tagName.toLowerCase() === "stop") {
+          var color = parseColor(getAttribute(element, "stop-color") || "black", getCurrentColor(element));
+          var opacity = parseFraction(getAttribute(element, "stop-opacity"), 1);
+          // offsets are clamped to [0, 1] and must not be smaller than the ones of previous stops
+          var offset = Math.min(Math.max(parseFraction(element.getAttribute("offset"), 0), 0), 1);
+          stops.length > 0 && (offset = Math.max(offset, stops[stops.length - 1].offset));
+          stops.push({
+            offset: offset,
+            color: [color.r, color.g, color.b],
+            opacity: opacity * color.a
+          });
+        }
+      });
+    }
+    return stops;
+  };
+
+  var hasTransparentStops = function (stops) {
+    return stops.some(function (stop) {
+      return stop.opacity < 1;
+    });
+  };
+
+  // returns a gradient attribute with template inheritance
+  var getGradientAttribute = function (node, attribute) {
+    return getTemplateAttribute(node, attribute, "lineargradient,radialgradient");
+  };
+
+  // resolves a coordinate of a gradient. Percentages refer to the bounding box for "objectBoundingBox" units and to the
+  // viewport for "userSpaceOnUse"
+  var getGradientCoordinate = function (node, attribute, defaultValue) {
+    var value = getGradientAttribute(node, attribute);
+    value === null && (value = defaultValue);
+    var gradientUnits = getGradientAttribute(node, "gradientUnits");
+    if (gradientUnits && gradientUnits.toLowerCase() === "userspaceonuse") {
+      return parseLength(value, node, lengthAttributeDirections[attribute]) || 0;
+    }
+    return parseFraction(value, 0);
+  };
+
+  // returns the range of gradient periods [min, max] that is needed to cover the area that is painted with a
+  // reflected or repeated gradient. This is the bounding box bBox of the painted node with a margin of one period
+  var getSpreadRange = function (node, type, coords, bBox) {
+    var area = [0, 0, 1, 1];
+    var gradientUnits = getGradientAttribute(node, "gradientUnits");
+    if (gradientUnits && gradientUnits.toLowerCase() === "userspaceonuse") {
+      area = [bBox[0], bBox[1], bBox[0] + bBox[2], bBox[1] + bBox[3]];
+    }
+
+    // the corners of the area in gradient space (before the gradient transform)
+    var inverseTransform = parseTransform(getGradientAttribute(node, "gradientTransform")).inversed();
+    var corners = [[area[0], area[1]], [area[2], area[1]], [area[2], area[3]], [area[0], area[3]]].map(function (p) {
+      return multVecMatrix(p, inverseTransform);
+    });
+
+    var min = 0, max = 1;
+    corners.forEach(function (p) {
+      var t;
+      if (type === "axial") {
+        // projection onto the gradient vector
+        var dx = coords[2] - coords[0], dy = coords[3] - coords[1];
+        t = ((p[0] - coords[0]) * dx + (p[1] - coords[1]) * dy) / (dx * dx + dy * dy);
+      } else {
+        // an upper bound of the circle that passes through the point
+        var focalDistance = Math.sqrt(Math.pow(coords[3] - coords[0], 2) + Math.pow(coords[4] - coords[1], 2));
+        var distance = Math.sqrt(Math.pow(p[0] - coords[0], 2) + Math.pow(p[1] - coords[1], 2));
+        t = (distance - coords[2]) / (coords[5] - coords[2] - focalDistance);
+      }
+      if (isFinite(t)) {
+        min = Math.min(min, t);
+        max = Math.max(max, t);
+      }
+    });
+
+    // radial gradients are only spread outwards. The range is limited to keep the pdf small for degenerate gradients
+    min = type === "axial" ? Math.max(Math.floor(min) - 1, -500) : 0;
+    max = Math.min(Math.ceil(max) + 1, 500);
+    return [min, max];
+  };
+
+  // adds a pdf function that interpolates the stop colors (or gray values) on [0, 1] and returns it
+  var addStopFunction = function (stops, getColor) {
+    // the function is constant before the first and after the last stop
+    stops = [{offset: 0, color: stops[0].color, opacity: stops[0].opacity}].concat(stops, [{
+      offset: 1,
+      color: stops[stops.length - 1].color,
+      opacity: stops[stops.length - 1].opacity
+    }]);
+
+    var functions = [], bounds = [];
+    for (var i = 0; i < stops.length - 1; i++) {
+      // skip empty intervals, which result in hard transitions
+      if (stops[i + 1].offset > stops[i].offset || (functions.length === 0 && i === stops.length - 2)) {
+        functions.push("<< /FunctionType 2 /Domain [0 1] /C0 [" + getColor(stops[i]).map(toPdfNumber).join(" ")
+            + "] /C1 [" + getColor(stops[i + 1]).map(toPdfNumber).join(" ") + "] /N 1 >>");
+        bounds.push(stops[i + 1].offset);
+      }
+    }
+    bounds.pop();
+
+    return addPdfResource(null, function (internal) {
+      internal.write("<< /FunctionType 3 /Domain [0 1]");
+      internal.write("/Functions [" + functions.join(" ") + "]");
+      internal.write("/Bounds [" + bounds.map(toPdfNumber).join(" ") + "]");
+      internal.write("/Encode [" + functions.map(function () {
+        return "0 1";
+      }).join(" ") + "] >>");
+    });
+  };
+
+  // adds a pdf shading for a gradient in gradient space and returns it. range is the range of periods [min, max] of
+  // the stop function, whose odd periods are reversed for the "reflect" spread method
+  var addShading = function (type, coords, range, spreadMethod, stopFunction, colorSpace) {
+    var periods = [], bounds = [], encode = [];
+    for (var i = range[0]; i < range[1]; i++) {
+      periods.push(stopFunction);
+      i > range[0] && bounds.push(i);
+      encode.push(spreadMethod === "reflect" && Math.abs(i % 2) === 1 ? "1 0" : "0 1");
+    }
+
+    // the coordinates of periods range[0] and range[1]
+    var t0 = range[0], t1 = range[1];
+    if (type === "axial") {
+      coords = [
+        coords[0] + t0 * (coords[2] - coords[0]), coords[1] + t0 * (coords[3] - coords[1]),
+        coords[0] + t1 * (coords[2] - coords[0]), coords[1] + t1 * (coords[3] - coords[1])
+      ];
+    } else {
+      coords = [
+        coords[0], coords[1], coords[2],
+        coords[0] + t1 * (coords[3] - coords[0]), coords[1] + t1 * (coords[4] - coords[1]),
+        coords[2] + t1 * (coords[5] - coords[2])
+      ];
+    }
+
+    return addPdfResource("Shading", function (internal, getObjectNumber) {
+      internal.write("<< /ShadingType " + (type === "axial" ? 2 : 3) + " /ColorSpace /" + colorSpace);
+      internal.write("/Coords [" + coords.map(toPdfNumber).join(" ") + "]");
+      internal.write("/Domain [" + t0 + " " + t1 + "] /Extend [true true]");
+      if (periods.length === 1) {
+        internal.write("/Function " + getObjectNumber(stopFunction) + " 0 R >>");
+      } else {
+        internal.write("/Function << /FunctionType 3 /Domain [" + t0 + " " + t1 + "]");
+        internal.write("/Functions [" + periods.map(function (period) {
+          return getObjectNumber(period) + " 0 R";
+        }).join(" ") + "]");
+        internal.write("/Bounds [" + bounds.join(" ") + "] /Encode [" + encode.join(" ") + "] >> >>");
+      }
+    });
+  };
+
+  // adds a gradient to defs and pdf functions for its colors and, if they are not opaque, its stop opacities, which are
+  // used as soft mask. The shadings are created on use (see getGradientShadings)
+  var putGradient = function (node, defs, svgIdPrefix) {
+    defs[svgIdPrefix.get() + node.getAttribute("id")] = node;
+
+    // gradients without stops paint nothing
+    var stops = getGradientStops(node);
+    if (stops.length === 0) {
+      return;
+    }
+
+    var type, coords;
+    if (nodeIs(node, "lineargradient")) {
+      type = "axial";
+      coords = [
+        getGradientCoordinate(node, "x1", "0%"),
+        getGradientCoordinate(node, "y1", "0%"),
+        getGradientCoordinate(node, "x2", "100%"),
+        getGradientCoordinate(node, "y2", "0%")
+      ];
+    } else {
+      type = "radial";
+      var cx = getGradientCoordinate(node, "cx", "50%");
+      var cy = getGradientCoordinate(node, "cy", "50%");
+      coords = [
+        getGradientCoordinate(node, "fx", getGradientAttribute(node, "cx") || "50%"),
+        getGradientCoordinate(node, "fy", getGradientAttribute(node, "cy") || "50%"),
+        getGradientCoordinate(node, "fr", "0%"),
+        cx,
+        cy,
+        getGradientCoordinate(node, "r", "50%")
+      ];
+    }
+
+    node.svg2pdfGradient = {
+      type: type,
+      coords: coords,
+      spreadMethod: getGradientAttribute(node, "spreadMethod"),
+      colorFunction: addStopFunction(stops, function (stop) {
+        return stop.color.map(function (value) {
+          return value / 255;
+        });
+      }),
+      opacityFunction: hasTransparentStops(stops) ? addStopFunction(stops, function (stop) {
+        return [stop.opacity];
+      }) : null,
+      shadings: {}
+    };
+  };
+
+  // returns the pdf shadings of a gradient that cover the bounding box bBox of the painted node. The shadings are in
+  // gradient space, gradient units and transform are applied by the paint server data. Reflected and repeated
+  // gradients need more periods for larger areas, so their shadings are cached per range of periods
+  var getGradientShadings = function (node, bBox) {
+    var gradient = node.svg2pdfGradient;
+    var range = gradient.spreadMethod === "reflect" || gradient.spreadMethod === "repeat" ?
+        getSpreadRange(node, gradient.type, gradient.coords, bBox) : [0, 1];
+
+    var key = range.join(" ");
+    if (!gradient.shadings[key]) {
+      gradient.shadings[key] = {
+        color: addShading(gradient.type, gradient.coords, range, gradient.spreadMethod, gradient.colorFunction,
+            "DeviceRGB"),
+        opacity: gradient.opacityFunction ? addShading(gradient.type, gradient.coords, range, gradient.spreadMethod,
+            gradient.opacityFunction, "DeviceGray") : null
+      };
+    }
+    return gradient.shadings[key];
+  };
+
+  // returns a pattern attribute with template inheritance
+  var getPatternAttribute = function (node, attribute) {
+    return getTemplateAttribute(node, attribute, "pattern");
+  };
+
+  // renders the contents of a pattern in their own coordinates. The tile and its mapping depend on the bounding box of
+  // the painted element, so they are set for each use (see getPaintServerData)
+  var pattern = function (node, defs, svgIdPrefix, attributeState) {
+    var id = svgIdPrefix.get() + node.getAttribute("id");
+    defs[id] = node;
+
+    // patterns without children inherit the children of their templates
+    var chain = getTemplateChain(node, "pattern");
+    var contentNode = chain[0];
+    for (var i = 0; i < chain.length; i++) {
+      contentNode = chain[i];
+      if (contentNode.getElementsByTagName("*").length > 0) {
+        break;
+      }
+    }
+
+    var pattern = new _pdf.TilingPattern([0, 0, 1, 1], 1, 1, null, _pdf.unitMatrix);
+    _pdf.beginTilingPattern(pattern);
+    renderChildren(contentNode, _pdf.unitMatrix, defs, svgIdPrefix, false, attributeState);
+    _pdf.endTilingPattern(id, pattern);
+  };
+
+  // returns what is needed to paint with a gradient or pattern: the gradient matrix and shadings or the bounding box,
+  // steps and matrix of the tiling pattern. bBox is the geometry box of the painted node, to which objectBoundingBox units refer,
+  // tfMatrix the transformation to its user space. Returns null if the paint server is not supported
+  var getPaintServerData = function (paintServer, node, bBox, tfMatrix) {
+    if (nodeIs(paintServer, "lineargradient,radialgradient")) {
+      // matrix to convert between gradient space and user space
+      // for "userSpaceOnUse" this is the current transformation
+      // for "objectBoundingBox" or default, the gradient gets scaled and transformed to the bounding box
+      var gradientUnitsMatrix = tfMatrix;
+      var gradientUnits = getGradientAttribute(paintServer, "gradientUnits");
+      if (!gradientUnits || gradientUnits.toLowerCase() === "objectboundingbox") {
+        gradientUnitsMatrix = _pdf.matrixMult(new _pdf.Matrix(bBox[2], 0, 0, bBox[3], bBox[0], bBox[1]), tfMatrix);
+      }
+
+      // matrix that is applied to the gradient before any other transformations
+      var gradientTransform = parseTransform(getGradientAttribute(paintServer, "gradientTransform"));
+
+      return {
+        matrix: _pdf.matrixMult(gradientTransform, gradientUnitsMatrix),
+        // gradients without stops paint nothing
+        shadings: paintServer.svg2pdfGradient ? getGradientShadings(paintServer, bBox) : null
+      };
+    }
+
+    if (nodeIs(paintServer, "pattern")) {
+      // the tile in pattern space, either relative to the bounding box or in user space
+      var tile;
+      var patternUnits = getPatternAttribute(paintServer, "patternUnits");
+      if (patternUnits && patternUnits.toLowerCase() === "userspaceonuse") {
+        tile = ["x", "y", "width", "height"].map(function (attribute) {
+          return parseLength(getPatternAttribute(paintServer, attribute), paintServer,
+              lengthAttributeDirections[attribute]) || 0;
+        });
+      } else {
+        tile = ["x", "y", "width", "height"].map(function (attribute) {
+          return parseFraction(getPatternAttribute(paintServer, attribute), 0);
+        });
+        tile = [bBox[0] + tile[0] * bBox[2], bBox[1] + tile[1] * bBox[3], tile[2] * bBox[2], tile[3] * bBox[3]];
+      }
+      if (!(tile[2] > 0 && tile[3] > 0)) {
+        return null;
+      }
+
+      // the contents are placed relative to the tile origin. A viewBox is mapped onto the tile, otherwise
+      // "objectBoundingBox" content units scale them to the bounding box
+      var contentMatrix;
+      var viewBox = getPatternAttribute(paintServer, "viewBox");
+      var patternContentUnits = getPatternAttribute(paintServer, "patternContentUnits");
+      if (viewBox) {
+        contentMatrix = computeViewBoxTransform(parseFloats(viewBox), 0, 0, tile[2], tile[3],
+            getPatternAttribute(paintServer, "preserveAspectRatio"));
+      } else if (patternContentUnits && patternContentUnits.toLowerCase() === "objectboundingbox") {
+        contentMatrix = new _pdf.Matrix(bBox[2], 0, 0, bBox[3], 0, 0);
+      } else {
+        contentMatrix = _pdf.unitMatrix;
+      }
+      contentMatrix = _pdf.matrixMult(contentMatrix, new _pdf.Matrix(1, 0, 0, 1, tile[0], tile[1]));
+
+      // the tile in content space, which also clips the contents
+      var x = -contentMatrix.e / contentMatrix.a + tile[0] / contentMatrix.a;
+      var y = -contentMatrix.f / contentMatrix.d + tile[1] / contentMatrix.d;
+      var width = tile[2] / contentMatrix.a;
+      var height = tile[3] / contentMatrix.d;
+
+      // svg 2 also allows the transform attribute instead of patternTransform
+      var patternTransform = parseTransform(getPatternAttribute(paintServer, "patternTransform")
+          || paintServer.getAttribute("transform"));
+      return {
+        boundingBox: [x, y, x + width, y + height],
+        xStep: width,
+        yStep: height,
+        matrix: _pdf.matrixMult(_pdf.matrixMult(contentMatrix, patternTransform), tfMatrix)
+      };
+    }
+
+    return null;
+  };
+
+  // adds a luminosity soft mask, whose content is drawn in the current user space, and returns the ExtGState that
+  // applies it. opacity is the constant alpha value for filling
+  var addSoftMask = function (stream, opacity) {
+    var group = addPdfResource(null, function (internal) {
+      internal.write("<< /Type /XObject /Subtype /Form");
+      internal.write("/BBox [-100000 -100000 100000 100000]");
+      internal.write("/Group << /S /Transparency /CS /DeviceRGB >>");
+      internal.write("/Resources 2 0 R");
+      internal.write("/Length " + stream.length + " >>");
+      internal.putStream(stream);
+    });
+    return addPdfResource("ExtGState", function (internal, getObjectNumber) {
+      internal.write("<< /Type /ExtGState /ca " + toPdfNumber(opacity)
+          + " /SMask << /Type /Mask /S /Luminosity /G " + getObjectNumber(group) + " 0 R >> >>");
+    });
+  };
+
+  // paints a shading in gradient space, which matrix maps to the current user space
+  var putShading = function (shading, matrix) {
+    _pdf.saveGraphicsState();
+    _pdf.setCurrentTransformationMatrix(matrix);
+    _pdf.internal.write("/" + shading.name + " sh");
+    _pdf.restoreGraphicsState();
+  };
+
+  // paints the whole clipping region with a gradient or pattern
+  var paint = function (paintServer, paintUrl, paintData) {
+    if (nodeIs(paintServer, "pattern")) {
+      _pdf.path([
+        {op: "m", c: [-100000, -100000]},
+        {op: "l", c: [100000, -100000]},
+        {op: "l", c: [100000, 100000]},
+        {op: "l", c: [-100000, 100000]},
+        {op: "h"}
+      ], "F", paintUrl, paintData);
+      return;
+    }
+
+    var shadings = paintData.shadings;
+    if (!shadings) {
+      return;
+    }
+
+    if (shadings.opacity) {
+      // the stop opacities are a soft mask, which would replace masks of the node and its ancestors. So the gradient is
+      // painted to a separate group, to which they still apply
+      beginStream();
+      putShading(shadings.opacity, paintData.matrix);
+      var opacityMask = addSoftMask(endStream(), 1);
+
+      beginStream();
+      _pdf.internal.write("/" + opacityMask.name + " gs");
+      putShading(shadings.color, paintData.matrix);
+      _pdf.internal.write("/" + addTransparencyGroup(endStream()).name + " Do");
+    } else {
+      putShading(shadings.color, paintData.matrix);
+    }
+  };
+
+  // pdf can't stroke with gradients and patterns, so strokes are painted through a luminosity soft mask, to which
+  // drawMask draws the shape in white (e.g. the stroke outline)
+  var paintThroughMask = function (drawMask, paintServer, paintUrl, paintData, opacity) {
+    beginStream();
+    _pdf.setDrawColor(255, 255, 255);
+    _pdf.setFillColor(255, 255, 255);
+    drawMask();
+    var softMask = addSoftMask(endStream(), opacity);
+
+    // the soft mask would replace masks of the node and its ancestors, so it's set within a separate group, to which
+    // they still apply
+    beginStream();
+    _pdf.internal.write("/" + softMask.name + " gs");
+    paint(paintServer, paintUrl, paintData);
+    var paintStream = endStream();
+
+    // the opacity is part of the soft mask, so the fill opacity of the current graphics state must not apply
+    _pdf.saveGraphicsState();
+    putTransparencyGroup(paintStream, 1);
+    _pdf.restoreGraphicsState();
+  };
+
+  // splits path operations into subpaths that each start with a move
+  var getSubpaths = function (lines) {
+    var subpaths = [];
+    var subpath = null;
+    var start = [0, 0];
+    lines.forEach(function (line) {
+      if (line.op === "m") {
+        start = line.c;
+        subpath = [line];
+        subpaths.push(subpath);
+        return;
+      }
+      // after closing a subpath, the next one starts at the same point
+      if (!subpath) {
+        subpath = [{op: "m", c: start}];
+        subpaths.push(subpath);
+      }
+      subpath.push(line);
+      line.op === "h" && (subpath = null);
+    });
+    return subpaths;
+  };
+
+  // returns the points of a subpath, which approximate it as polygon (curves by their control points)
+  var getSubpathPoints = function (subpath) {
+    var points = [];
+    subpath.forEach(function (line) {
+      for (var i = 0; line.c && i < line.c.length; i += 2) {
+        points.push([line.c[i], line.c[i + 1]]);
+      }
+    });
+    return points;
+  };
+
+  // returns the signed area of a polygon, which is positive or negative depending on its direction
+  var getPolygonArea = function (points) {
+    var area = 0;
+    for (var i = 0; i < points.length; i++) {
+      var p = points[i], q = points[(i + 1) % points.length];
+      area += p[0] * q[1] - q[0] * p[1];
+    }
+    return area / 2;
+  };
+
+  // returns true iff a point lies within a polygon (by the even-odd rule)
+  var isPointInPolygon = function (point, points) {
+    var inside = false;
+    for (var i = 0, j = points.length - 1; i < points.length; j = i++) {
+      var p = points[i], q = points[j];
+      if ((p[1] > point[1]) !== (q[1] > point[1])
+          && point[0] < (q[0] - p[0]) * (point[1] - p[1]) / (q[1] - p[1]) + p[0]) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  };
+
+  // reverses the direction of a subpath
+  var reverseSubpath = function (subpath) {
+    var closed = subpath[subpath.length - 1].op === "h";
+    var segments = subpath.slice(1, closed ? subpath.length - 1 : subpath.length);
+    var getEnd = function (i) {
+      return i < 0 ? subpath[0].c : segments[i].c.slice(-2);
+    };
+
+    var reversed = [{op: "m", c: getEnd(segments.length - 1)}];
+    for (var i = segments.length - 1; i >= 0; i--) {
+      var c = segments[i].c;
+      reversed.push(segments[i].op === "c"
+          ? {op: "c", c: c.slice(2, 4).concat(c.slice(0, 2), getEnd(i - 1))}
+          : {op: "l", c: getEnd(i - 1)});
+    }
+    closed && reversed.push({op: "h"});
+    return reversed;
+  };
 
-          p = multVecMatrix(to, tfMatrix);
-          lines.push({op: op, c: p});
-        }
+  // orients the subpaths of an outline, so that the nonzero winding rule yields the region of its own winding rule
+  // and all points within it have a positive winding number. The union of such outlines is the nonzero region of
+  // all of them combined in one path
+  var orientOutline = function (lines, evenOdd) {
+    var subpaths = getSubpaths(lines);
+    var polygons = subpaths.map(getSubpathPoints);
+    var areas = polygons.map(getPolygonArea);
+    var totalArea = areas.reduce(function (sum, area) {
+      return sum + area;
+    }, 0);
+
+    var oriented = [];
+    subpaths.forEach(function (subpath, i) {
+      var positive = totalArea >= 0;
+      if (evenOdd) {
+        // subpaths nested within an odd number of other subpaths are holes, which need the opposite direction
+        var depth = polygons.filter(function (polygon, j) {
+          return j !== i && polygons[i].length > 0 && isPointInPolygon(polygons[i][0], polygon);
+        }).length;
+        positive = (areas[i] >= 0) === (depth % 2 === 0);
+      }
+      oriented = oriented.concat(positive ? subpath : reverseSubpath(subpath));
+    });
+    return oriented;
+  };
 
-        if ("MLCSQT".indexOf(cmd) >= 0) {
-          x = seg.x;
-          y = seg.y;
-        } else if ("mlcsqt".indexOf(cmd) >= 0) {
-          x = seg.x + x;
-          y = seg.y + y;
-        } else if ("zZ".indexOf(cmd) < 0) {
-          x = newX;
-          y = newY;
-        }
+  // intersects the current clipping region with a clip path. tfMatrix is the transformation to the user space of the
+  // node that references the clip path
+  var clipPath = function (clipPathNode, node, tfMatrix, defs, svgIdPrefix) {
+    // clip paths may be clipped themselves, which results in the intersection of both
+    if (clipPathNode !== node) {
+      applyClipPath(clipPathNode, node, tfMatrix, defs, svgIdPrefix);
+    }
+
+    var clipPathMatrix = tfMatrix;
+    var clipPathUnits = clipPathNode.getAttribute("clipPathUnits");
+    if (clipPathUnits && clipPathUnits.toLowerCase() === "objectboundingbox") {
+      var bBox = getUntransformedBBox(node, true);
+      clipPathMatrix = _pdf.matrixMult(new _pdf.Matrix(bBox[2], 0, 0, bBox[3], bBox[0], bBox[1]), clipPathMatrix);
+    }
+    clipPathMatrix = _pdf.matrixMult(parseTransform(clipPathNode.getAttribute("transform")), clipPathMatrix);
+
+    // the clipping region is the union of the outlines of the shapes (also referenced by use elements) within the clip
+    // path. Text children and clip paths of the children are not supported and skipped
+    var outlines = [];
+    forEachChild(clipPathNode, function (i, child) {
+      var shape = nodeIs(child, "use") ? getReferencedElement(child) : child;
+      if (!shape || !nodeIs(shape, "rect,ellipse,circle,line,polygon,polyline,path")) {
+        return;
+      }
+      // children that are not displayed or hidden don't contribute to the clipping region
+      var visibility = getAttribute(shape, "visibility") || getAttribute(child, "visibility")
+          || getAttribute(clipPathNode, "visibility");
+      if (getAttribute(child, "display") === "none" || getAttribute(shape, "display") === "none"
+          || visibility === "hidden" || visibility === "collapse" || !testConditions(child)) {
+        return;
       }
 
-      return {lines: lines, markers: markers};
-    };
-    var lines = getLinesFromPath(list, tfMatrix);
-
-    if (markerEnd || markerStart || markerMid) {
-      for (var i = 0; i < lines.markers.length; i++) {
-        var marker = lines.markers[i];
-        var markerElement;
-        switch (marker.type) {
-          case "start":
-            markerElement = svgIdPrefix.get() + iriReference.exec(markerStart)[1];
-            break;
-          case "end":
-            markerElement = svgIdPrefix.get() + iriReference.exec(markerEnd)[1];
-            break;
-          case "mid":
-            markerElement = svgIdPrefix.get() + iriReference.exec(markerMid)[1];
-            break;
-        }
-        _pdf.doFormObject(markerElement, marker.tf);
+      var matrix = _pdf.matrixMult(computeNodeTransform(child), clipPathMatrix);
+      if (shape !== child) {
+        var translation = new _pdf.Matrix(1, 0, 0, 1, getLength(child, "x") || 0, getLength(child, "y") || 0);
+        matrix = _pdf.matrixMult(computeNodeTransform(shape), _pdf.matrixMult(translation, matrix));
       }
+      var clipRule = getAttribute(shape, "clip-rule") || getAttribute(child, "clip-rule")
+          || getAttribute(clipPathNode, "clip-rule");
+      outlines.push({lines: getShapeLines(shape, matrix), evenOdd: clipRule === "evenodd"});
+    });
+
+    if (outlines.length === 0) {
+      // an empty clip path clips away everything
+      _pdf.internal.write("0 0 0 0 re", "W", "n");
+    } else if (outlines.length === 1) {
+      putLines(outlines[0].lines);
+      _pdf.internal.write(outlines[0].evenOdd ? "W*" : "W", "n");
+    } else {
+      // pdf only knows one winding rule per clipping path, so the outlines are oriented in the same direction and
+      // combined with the nonzero rule
+      outlines.forEach(function (outline) {
+        putLines(orientOutline(outline.lines, outline.evenOdd));
+      });
+      _pdf.internal.write("W", "n");
+    }
+  };
+
+  // applies the clip path referenced by the "clip-path" property of a node (if there is one)
+  var applyClipPath = function (node, referencingNode, tfMatrix, defs, svgIdPrefix) {
+    var url = iriReference.exec(getAttribute(node, "clip-path"));
+    if (!url) {
+      return;
     }
 
-    if (lines.lines.length > 0) {
-      _pdf.path(lines.lines, colorMode, gradient, gradientMatrix);
+    var clipPathNode = getFromDefs(svgIdPrefix.get() + url[1], defs);
+    if (clipPathNode && nodeIs(clipPathNode, "clippath")) {
+      clipPath(clipPathNode, referencingNode, tfMatrix, defs, svgIdPrefix);
     }
   };
 
-  // draws the element referenced by a use node, makes use of pdf's XObjects/FormObjects so nodes are only written once
-  // to the pdf document. This highly reduces the file size and computation time.
-  var use = function (node, tfMatrix, svgIdPrefix) {
-    var url = (node.getAttribute("href") || node.getAttribute("xlink:href"));
-    // just in case someone has the idea to use empty use-tags, wtf???
-    if (!url)
+  // applies the mask referenced by the "mask" property of a node (if there is one) as pdf soft mask. tfMatrix is the
+  // transformation to the user space of the masked node
+  var applyMask = function (node, tfMatrix, defs, svgIdPrefix, attributeState) {
+    var url = iriReference.exec(getAttribute(node, "mask"));
+    if (!url) {
       return;
+    }
 
-    // get the size of the referenced form object (to apply the correct scaling)
-    var formObject = _pdf.getFormObject(svgIdPrefix.get() + url.substring(1));
-
-    // scale and position it right
-    var x = node.getAttribute("x") || 0;
-    var y = node.getAttribute("y") || 0;
-    var width = node.getAttribute("width") || formObject.width;
-    var height = node.getAttribute("height") || formObject.height;
-    var t = new _pdf.Matrix(width / formObject.width || 0, 0, 0, height / formObject.height || 0, x, y);
-    t = _pdf.matrixMult(t, tfMatrix);
-    _pdf.doFormObject(svgIdPrefix.get() + url.substring(1), t);
+    var maskNode = getFromDefs(svgIdPrefix.get() + url[1], defs);
+    if (!maskNode || !nodeIs(maskNode, "mask")) {
+      return;
+    }
+
+    var bBox = getUntransformedBBox(node, true);
+
+    // the mask region, outside of which everything is masked
+    // (the default region of -10%/120% of the bounding box is also used for user space units)
+    var x = parseFraction(maskNode.getAttribute("x"), -0.1),
+        y = parseFraction(maskNode.getAttribute("y"), -0.1),
+        width = parseFraction(maskNode.getAttribute("width"), 1.2),
+        height = parseFraction(maskNode.getAttribute("height"), 1.2);
+    var region = [bBox[0] + x * bBox[2], bBox[1] + y * bBox[3], width * bBox[2], height * bBox[3]];
+
+    var maskUnits = maskNode.getAttribute("maskUnits");
+    if (maskUnits && maskUnits.toLowerCase() === "userspaceonuse") {
+      maskNode.hasAttribute("x") && (region[0] = getLength(maskNode, "x"));
+      maskNode.hasAttribute("y") && (region[1] = getLength(maskNode, "y"));
+      maskNode.hasAttribute("width") && (region[2] = getLength(maskNode, "width"));
+      maskNode.hasAttribute("height") && (region[3] = getLength(maskNode, "height"));
+    }
+
+    var maskContentUnitsMatrix = _pdf.unitMatrix;
+    var maskContentUnits = maskNode.getAttribute("maskContentUnits");
+    if (maskContentUnits && maskContentUnits.toLowerCase() === "objectboundingbox") {
+      maskContentUnitsMatrix = new _pdf.Matrix(bBox[2], 0, 0, bBox[3], bBox[0], bBox[1]);
+    }
+
+    // the mask content does not inherit from the masked node, but from the mask's ancestors. As masks are usually
+    // defined in defs, we start with the initial values
+    var stream = renderChildrenToStream(maskNode, maskContentUnitsMatrix, defs, svgIdPrefix, new AttributeState());
+    var maskType = getAttribute(maskNode, "mask-type") === "alpha" ? "Alpha" : "Luminosity";
+
+    // the mask content is a transparency group in the user space of the masked node, clipped to the mask region
+    var group = addPdfResource(null, function (internal) {
+      internal.write("<< /Type /XObject /Subtype /Form");
+      internal.write("/BBox [" + [region[0], region[1], region[0] + region[2], region[1] + region[3]].map(toPdfNumber).join(" ") + "]");
+      internal.write("/Matrix [" + tfMatrix.toString() + "]");
+      internal.write("/Group << /S /Transparency /CS /DeviceRGB >>");
+      internal.write("/Resources 2 0 R");
+      internal.write("/Length " + stream.length + " >>");
+      internal.putStream(stream);
+    });
+    var softMask = addPdfResource("ExtGState", function (internal, getObjectNumber) {
+      internal.write("<< /Type /ExtGState /SMask << /Type /Mask /S /" + maskType + " /G " + getObjectNumber(group) + " 0 R >> >>");
+    });
+
+    _pdf.internal.write("/" + softMask.name + " gs");
   };
 
-  // draws a line
-  var line = function (node, tfMatrix) {
-    var p1 = multVecMatrix([parseFloat(node.getAttribute('x1')), parseFloat(node.getAttribute('y1'))], tfMatrix);
-    var p2 = multVecMatrix([parseFloat(node.getAttribute('x2')), parseFloat(node.getAttribute('y2'))], tfMatrix);
-    _pdf.line(p1[0], p1[1], p2[0], p2[1]);
+  // renders the children of a node to a separate content stream and returns it
+  var renderChildrenToStream = function (node, tfMatrix, defs, svgIdPrefix, attributeState) {
+    beginStream();
+    renderChildren(node, tfMatrix, defs, svgIdPrefix, false, attributeState);
+    return endStream();
   };
 
-  // draws a rect
-  var rect = function (node, colorMode, gradient, gradientMatrix) {
-    _pdf.roundedRect(
-        parseFloat(node.getAttribute('x')) || 0,
-        parseFloat(node.getAttribute('y')) || 0,
-        parseFloat(node.getAttribute('width')),
-        parseFloat(node.getAttribute('height')),
-        parseFloat(node.getAttribute('rx')) || 0,
-        parseFloat(node.getAttribute('ry')) || 0,
-        colorMode,
-        gradient,
-        gradientMatrix
-    );
+  // redirects all following output to a separate content stream (by means of a form object, as jsPDF can't redirect
+  // its output otherwise)
+  var beginStream = function () {
+    // the contents are already transformed, so the bounding box only has to be large enough
+    _pdf.beginFormObject(-100000, -100000, 200000, 200000, _pdf.unitMatrix);
   };
 
-  // draws an ellipse
-  var ellipse = function (node, colorMode, gradient, gradientMatrix) {
-    _pdf.ellipse(
-        parseFloat(node.getAttribute('cx')) || 0,
-        parseFloat(node.getAttribute('cy')) || 0,
-        parseFloat(node.getAttribute('rx')),
-        parseFloat(node.getAttribute('ry')),
-        colorMode,
-        gradient,
-        gradientMatrix
-    );
+  // ends the content stream started by beginStream and returns a content stream that draws it. The contents are only
+  // written to the document once, by jsPDF as form object
+  var endStream = function () {
+    var stream = "";
+    _pdf.internal.events.subscribe("addFormObject", function (formObject) {
+      stream = "/" + formObject.id + " Do";
+    }, true);
+    _pdf.endFormObject("svg2pdf$stream$" + getPdfResources().count++);
+    return stream;
   };
 
-  // draws a circle
-  var circle = function (node, colorMode, gradient, gradientMatrix) {
-    var radius = parseFloat(node.getAttribute('r')) || 0;
-    _pdf.ellipse(
-        parseFloat(node.getAttribute('cx')) || 0,
-        parseFloat(node.getAttribute('cy')) || 0,
-        radius,
-        radius,
-        colorMode,
-        gradient,
-        gradientMatrix
-    );
+  // adds a content stream as isolated transparency group, so it's composited as a whole
+  var addTransparencyGroup = function (stream) {
+    return addPdfResource("XObject", function (internal) {
+      internal.write("<< /Type /XObject /Subtype /Form");
+      // the contents are already transformed, so the bounding box only has to be large enough
+      internal.write("/BBox [-100000 -100000 100000 100000]");
+      internal.write("/Group << /S /Transparency /I true /CS /DeviceRGB >>");
+      internal.write("/Resources 2 0 R");
+      internal.write("/Length " + stream.length + " >>");
+      internal.putStream(stream);
+    });
   };
 
-  // applies text transformations to a text node
-  var transformText = function (node, text) {
-    var textTransform = getAttribute(node, "text-transform");
-    switch (textTransform) {
-      case "uppercase": return text.toUpperCase();
-      case "lowercase": return text.toLowerCase();
-      default: return text;
-      // TODO: capitalize, full-width
-    }
+  // draws a content stream as isolated transparency group with the given opacity
+  var putTransparencyGroup = function (stream, opacity) {
+    var group = addTransparencyGroup(stream);
+    _pdf.setGState(new _pdf.GState({opacity: opacity, "stroke-opacity": opacity}));
+    _pdf.internal.write("/" + group.name + " Do");
   };
 
-  // draws a text element and its tspan children
-  var text = function (node, tfMatrix, hasFillColor, fillRGB) {
-    _pdf.saveGraphicsState();
-    setTextProperties(node, fillRGB);
+  // jsPDF has no api for soft masks and transparency groups, so we write these objects to the document ourselves. Named
+  // objects are listed in the common resource dictionary, so they can be used from every content stream of the document
+  var getPdfResources = function () {
+    var internal = _pdf.internal;
+    var resources = internal.collections.svg2pdfResources;
+    if (resources) {
+      return resources;
+    }
 
-    var getTextOffset = function (textAnchor, width) {
-      var xOffset = 0;
-      switch (textAnchor) {
-        case 'end':
-          xOffset = width;
-          break;
-        case 'middle':
-          xOffset = width / 2;
-          break;
-        case 'start':
-          break;
+    resources = internal.collections.svg2pdfResources = {list: [], count: 0};
+
+    // object numbers are assigned lazily when the document is written, as they are not known before
+    var getObjectNumber = function (resource) {
+      if (resource.objectNumber < 0) {
+        resource.objectNumber = internal.newObjectDeferred();
       }
-      return xOffset;
+      return resource.objectNumber;
     };
 
-    /**
-     * Convert em, px and bare number attributes to pixel values
-     */
-    var toPixels = function (value, pdfFontSize) {
-      var match;
+    var putDictionaryEntries = function (type) {
+      resources.list.forEach(function (resource) {
+        if (resource.type === type) {
+          internal.write("/" + resource.name, getObjectNumber(resource), "0 R");
+        }
+      });
+    };
 
-      // em
-      match = value && value.toString().match(/^([\-0-9.]+)em$/);
-      if (match) {
-        return parseFloat(match[1]) * pdfFontSize;
-      }
+    internal.events.subscribe("putGStateDict", function () {
+      putDictionaryEntries("ExtGState");
+    });
+    internal.events.subscribe("putXobjectDict", function () {
+      putDictionaryEntries("XObject");
+    });
+    internal.events.subscribe("putShadingPatternDict", function () {
+      putDictionaryEntries("Shading");
+    });
+    internal.events.subscribe("putResources", function () {
+      resources.list.forEach(function (resource) {
+        internal.newObjectDeferredBegin(getObjectNumber(resource));
+        internal.write(resource.objectNumber + " 0 obj");
+        resource.put(internal, getObjectNumber);
+        internal.write("endobj");
+      });
+    });
+    internal.events.subscribe("postPutResources", function () {
+      // the document might be written more than once
+      resources.list.forEach(function (resource) {
+        resource.objectNumber = -1;
+      });
+    });
 
-      // pixels
-      match = value && value.toString().match(/^([\-0-9.]+)(px|)$/);
-      if (match) {
-        return parseFloat(match[1]);
-      }
-      return 0;
-    };
+    return resources;
+  };
 
-    // creates an svg element and append the text node to properly measure the text size
-    var svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
-    svg.appendChild(node);
-    svg.setAttribute("visibility", "hidden");
-    document.body.appendChild(svg);
+  // adds an object to the pdf document. type is the resource type ("ExtGState", "XObject" or "Shading") under which the
+  // object is listed, or null if it is only referenced by other objects. put writes the object's content
+  var addPdfResource = function (type, put) {
+    var resources = getPdfResources();
+    var resource = {
+      name: "Svg" + type + resources.count++,
+      type: type,
+      put: put,
+      objectNumber: -1
+    };
+    resources.list.push(resource);
+    return resource;
+  };
 
-    var box = node.getBBox();
-    var x, y, xOffset = 0;
-    var textAnchor = getAttribute(node, "text-anchor");
-    if (textAnchor) {
-      xOffset = getTextOffset(textAnchor, box.width);
-    }
-
-    var pdfFontSize = _pdf.getFontSize();
-    var textX = toPixels(node.getAttribute('x'), pdfFontSize);
-    var textY = toPixels(node.getAttribute('y'), pdfFontSize);
-    var m = _pdf.matrixMult(new _pdf.Matrix(1, 0, 0, 1, textX, textY), tfMatrix);
-
-    x = toPixels(node.getAttribute("dx"), pdfFontSize);
-    y = toPixels(node.getAttribute("dy"), pdfFontSize);
-
-    // when there are no tspans draw the text directly
-    if (node.childElementCount === 0) {
-      _pdf.text(
-          (x - xOffset),
-          y,
-          transformText(node, removeNewlinesAndTrim(node.textContent)),
-          void 0,
-          m
+  // sets the width, caps, joins, dashes and miter limit of strokes and returns the stroke width
+  var setStrokeProperties = function (node, attributeState) {
+    var strokeWidth = Math.abs(parseLength(attributeState.values["stroke-width"], node));
+    _pdf.setLineWidth(strokeWidth);
+    _pdf.setLineCap(attributeState.values["stroke-linecap"]);
+    _pdf.setLineJoin(attributeState.values["stroke-linejoin"]);
+    var dashArray = attributeState.values["stroke-dasharray"];
+    if (dashArray !== "none") {
+      _pdf.setLineDashPattern(
+          dashArray.trim().split(/[\s,]+/).map(function (dash) {
+            return parseLength(dash, node);
+          }),
+          parseLength(attributeState.values["stroke-dashoffset"], node) || 0
       );
-    } else {
-      // otherwise loop over tspans and position each relative to the previous one
-      forEachChild(node, function (i, tSpan) {
-        _pdf.saveGraphicsState();
-        var tSpanColor = getAttribute(tSpan, "fill");
-        setTextProperties(tSpan, tSpanColor && new RGBColor(tSpanColor));
-        var extent = tSpan.getExtentOfChar(0);
-        _pdf.text(
-            extent.x - textX,//x - xOffset,
-            extent.y + extent.height * 0.7 - textY, // 0.7 roughly mimicks the text baseline
-            transformText(node, removeNewlinesAndTrim(tSpan.textContent)),
-            void 0,
-            m
-        );
+    }
+    _pdf.setLineMiterLimit(parseFloat(attributeState.values["stroke-miterlimit"]));
+    return strokeWidth;
+  };
 
-        _pdf.restoreGraphicsState();
-      });
+  // returns the plain fill color of text (gradients and patterns are not supported for text)
+  var getTextFillColor = function (attributeState) {
+    var fill = attributeState.values["fill"];
+    return fill !== "none" && !iriReference.test(fill) ? parseColor(fill, attributeState.values["color"]) : null;
+  };
 
-    }
+  // returns the stroke color of text with the given attribute state, or null if it isn't stroked with a plain color
+  var getTextStrokeColor = function (attributeState) {
+    var stroke = attributeState.values["stroke"];
+    return stroke !== "none" && !iriReference.test(stroke) ? parseColor(stroke, attributeState.values["color"]) : null;
+  };
 
-    document.body.removeChild(svg);
-    _pdf.restoreGraphicsState();
+  // the standard fonts that generic font families are mapped to
+  var genericFontFamilies = {
+    "serif": "times",
+    "sans-serif": "helvetica",
+    "monospace": "courier",
+    "cursive": "times",
+    "fantasy": "times",
+    "system-ui": "helvetica"
   };
 
-  // As defs elements are allowed to appear after they are referenced, we search for them first
-  var findAndRenderDefs = function (node, tfMatrix, defs, svgIdPrefix, withinDefs) {
-    forEachChild(node, function (i, child) {
-      if (child.tagName.toLowerCase() === "defs") {
-        renderNode(child, tfMatrix, defs, svgIdPrefix, withinDefs);
-        // prevent defs from being evaluated twice // TODO: make this better
-        child.parentNode.removeChild(child);
-      }
-    });
+  // font families that are substituted by the metric-compatible standard fonts
+  var standardFontSubstitutes = {
+    "arial": "helvetica",
+    "times new roman": "times",
+    "courier new": "courier"
   };
 
-  // processes a svg node
-  var svg = function (node, tfMatrix, defs, svgIdPrefix, withinDefs) {
-    // create a new prefix and clone the defs, as defs within the svg should not be visible outside
-    var newSvgIdPrefix = svgIdPrefix.nextChild();
-    var newDefs = cloneDefs(defs);
-    findAndRenderDefs(node, tfMatrix, newDefs, newSvgIdPrefix, withinDefs);
-    renderChildren(node, tfMatrix, newDefs, newSvgIdPrefix, withinDefs);
+  // splits a font-family value into the list of family names. Quoted names are marked, because they never denote
+  // generic families
+  var parseFontFamilies = function (fontFamily) {
+    var families = [];
+    var parts = splitOutsideBrackets(fontFamily, ",");
+    for (var i = 0; i < parts.length; i++) {
+      var name = parts[i].trim();
+      var quoted = /^(["']).*\1$/.test(name);
+      name = quoted ? name.slice(1, -1) : name.replace(/\s+/g, " ");
+      name && families.push({name: name, quoted: quoted});
+    }
+    return families;
   };
 
-  // renders all children of a node
-  var renderChildren = function (node, tfMatrix, defs, svgIdPrefix, withinDefs) {
-    forEachChild(node, function (i, node) {
-      renderNode(node, tfMatrix, defs, svgIdPrefix, withinDefs);
-    });
+  // converts an absolute font weight to a number
+  var parseFontWeight = function (fontWeight) {
+    fontWeight = String(fontWeight || "normal").trim().toLowerCase();
+    return fontWeight === "bold" ? 700 : parseFloat(fontWeight) || 400;
   };
 
-  // adds a gradient to defs and the pdf document for later use, type is either "axial" or "radial"
-  // opacity is only supported rudimentary by averaging over all stops
-  // transforms are applied on use
-  var putGradient = function (node, type, coords, defs, svgIdPrefix) {
-    var colors = [];
-    var opacitySum = 0;
-    var hasOpacity = false;
-    var gState;
-    forEachChild(node, function (i, element) {
-      // since opacity gradients are hard to realize, average the opacity over the control points
-      if (element.tagName.toLowerCase() === "stop") {
-        var color = new RGBColor(getAttribute(element, "stop-color"));
-        colors.push({
-          offset: parseFloat(element.getAttribute("offset")),
-          color: [color.r, color.g, color.b]
-        });
-        var opacity = getAttribute(element, "stop-opacity");
-        if (opacity && opacity != 1) {
-          opacitySum += parseFloat(opacity);
-          hasOpacity = true;
-        }
+  // converts a font weight to a number. The relative font weights bolder and lighter are resolved against the font
+  // weight of the parent
+  var resolveFontWeight = function (fontWeight, parentFontWeight) {
+    switch (String(fontWeight).trim().toLowerCase()) {
+      case "bolder":
+        return parentFontWeight < 350 ? 400 : parentFontWeight < 550 ? 700 : Math.max(parentFontWeight, 900);
+      case "lighter":
+        return parentFontWeight < 100 ? parentFontWeight : parentFontWeight < 550 ? 100 : parentFontWeight < 750 ? 400
+            : 700;
+      default:
+        return parseFontWeight(fontWeight);
+    }
+  };
+
+  // expands the font shorthand to the font properties it sets. Omitted properties are reset to their initial values.
+  // Returns null for invalid values and system fonts (e.g. caption)
+  var parseFontShorthand = function (font) {
+    var properties = {"font-style": "normal", "font-weight": "normal"};
+    font = font.trim();
+    if (/^inherit$/i.test(font)) {
+      return {"font-style": "inherit", "font-weight": "inherit", "font-size": "inherit", "font-family": "inherit"};
+    }
+
+    // the style, variant, weight and stretch keywords precede the size in any order
+    var keywordRegex = /^(italic|oblique(?:\s+-?[\d.]+[a-z]+)?|bold(?:er)?|lighter|[\d.]+|normal|small-caps|[a-z-]*(?:condensed|expanded))\s+/i;
+    var match;
+    while ((match = keywordRegex.exec(font))) {
+      var keyword = match[1].toLowerCase();
+      if (/^(italic|oblique)/.test(keyword)) {
+        properties["font-style"] = keyword.split(/\s+/)[0];
+      } else if (/^(bold(er)?|lighter|[\d.]+)$/.test(keyword)) {
+        properties["font-weight"] = keyword;
       }
-    });
+      font = font.substring(match[0].length);
+    }
 
-    if (hasOpacity) {
-      gState = new _pdf.GState({opacity: opacitySum / coords.length});
+    // the size (optionally followed by the line height) and the family are mandatory
+    match = /^([^\s\/]+)(?:\s*\/\s*[^\s]+)?\s+(\S.*)$/.exec(font);
+    if (!match) {
+      return null;
     }
+    properties["font-size"] = match[1];
+    properties["font-family"] = match[2];
+    return properties;
+  };
 
-    var pattern = new _pdf.ShadingPattern(type, coords, colors, gState);
-    var id = svgIdPrefix.get() + node.getAttribute("id");
-    _pdf.addShadingPattern(id, pattern);
-    defs[id] = node;
+  // creates a font face from its descriptors and the base64 encoded TrueType font file. Returns null if the family or
+  // the data is missing
+  var createFontFace = function (family, weight, style, data) {
+    var families = parseFontFamilies(family || "");
+    if (families.length === 0 || !data) {
+      return null;
+    }
+    return {
+      family: families[0].name.toLowerCase(),
+      weight: parseFontWeight(weight),
+      style: String(style || "normal").trim().toLowerCase().split(/\s+/)[0],
+      data: data.replace(/\s+/g, "")
+    };
   };
 
-  var pattern = function (node, defs, svgIdPrefix) {
-    var id = svgIdPrefix.get() + node.getAttribute("id");
-    defs[id] = node;
+  // creates a font face from the declarations of a @font-face rule. Only TrueType and OpenType fonts from base64 data
+  // urls can be embedded, other sources are skipped
+  var parseFontFaceRule = function (declarations) {
+    var descriptors = {};
+    for (var i = 0; i < declarations.length; i++) {
+      descriptors[declarations[i].property] = declarations[i].value;
+    }
+
+    var sources = splitOutsideBrackets(descriptors["src"] || "", ",");
+    for (i = 0; i < sources.length; i++) {
+      var source = /url\(\s*["']?data:([^,]*);base64,([^"')]*)["']?\s*\)(?:\s*format\(\s*["']?([^"')]*))?/i
+          .exec(sources[i]);
+      if (source && !/woff|svg|embedded-opentype/i.test(source[1] + " " + (source[3] || ""))) {
+        return createFontFace(descriptors["font-family"], descriptors["font-weight"], descriptors["font-style"],
+            source[2]);
+      }
+    }
+    return null;
+  };
 
-    // the transformations directly at the node are written to the pattern transformation matrix
-    var bBox = getUntransformedBBox(node);
-    var pattern = new _pdf.TilingPattern([bBox[0], bBox[1], bBox[0] + bBox[2], bBox[1] + bBox[3]], bBox[2], bBox[3],
-        null, computeNodeTransform(node));
+  // collects the font faces from the fonts option and the @font-face rules
+  var getFontFaces = function (fonts, fontFaceRules) {
+    var fontFaces = [];
+    var i, fontFace;
+    for (i = 0; i < fonts.length; i++) {
+      fontFace = createFontFace(fonts[i].family, fonts[i].weight, fonts[i].style, fonts[i].data);
+      fontFace && fontFaces.push(fontFace);
+    }
+    for (i = 0; i < fontFaceRules.length; i++) {
+      fontFace = parseFontFaceRule(fontFaceRules[i]);
+      fontFace && fontFaces.push(fontFace);
+    }
+    return fontFaces;
+  };
 
-    _pdf.beginTilingPattern(pattern);
-    // continue without transformation
-    renderChildren(node, _pdf.unitMatrix, defs, svgIdPrefix, false);
-    _pdf.endTilingPattern(id, pattern);
+  // the font styles in the order in which font faces are preferred for a requested style
+  var fontStylePreferences = {
+    "normal": ["normal", "oblique", "italic"],
+    "italic": ["italic", "oblique", "normal"],
+    "oblique": ["oblique", "italic", "normal"]
   };
 
-  function setTextProperties(node, fillRGB) {
-    var fontFamily = getAttribute(node, "font-family");
-    if (fontFamily) {
-      _pdf.setFont(fontFamily);
+  // ranks the weight of a font face by how well it matches the requested weight (lower is better). Weights between
+  // 400 and 500 prefer heavier faces up to 500 and then lighter ones, lower weights prefer lighter and higher weights
+  // prefer heavier faces
+  var rankFontWeight = function (weight, requestedWeight) {
+    if (requestedWeight >= 400 && requestedWeight <= 500) {
+      return weight >= requestedWeight && weight <= 500 ? weight - requestedWeight
+          : weight < requestedWeight ? 1000 + requestedWeight - weight : 2000 + weight - 500;
     }
+    if (requestedWeight < 400) {
+      return weight <= requestedWeight ? requestedWeight - weight : 1000 + weight - requestedWeight;
+    }
+    return weight >= requestedWeight ? weight - requestedWeight : 1000 + requestedWeight - weight;
+  };
 
-    if (fillRGB && fillRGB.ok) {
-      _pdf.setTextColor(fillRGB.r, fillRGB.g, fillRGB.b);
+  // returns the font face of a family that is closest to the requested weight and style following the css font
+  // matching algorithm (the style is matched first), or null if the family has no font faces
+  var matchFontFace = function (family, weight, style) {
+    var stylePreferences = fontStylePreferences[style] || fontStylePreferences["normal"];
+    var bestFontFace = null, bestRank = Infinity;
+    for (var i = 0; i < _fontFaces.length; i++) {
+      var fontFace = _fontFaces[i];
+      if (fontFace.family !== family) {
+        continue;
+      }
+      var styleRank = stylePreferences.indexOf(fontFace.style);
+      var rank = (styleRank < 0 ? stylePreferences.length : styleRank) * 10000
+          + rankFontWeight(fontFace.weight, weight);
+      if (rank < bestRank) {
+        bestFontFace = fontFace;
+        bestRank = rank;
+      }
     }
+    return bestFontFace;
+  };
 
-    var fontType;
-    var fontWeight = getAttribute(node, "font-weight");
-    if (fontWeight) {
-      if (fontWeight === "bold") {
-        fontType = "bold";
+  // adds the font file of a font face to the pdf document (once per document) and returns the jsPDF font. The font
+  // names get a prefix, because jsPDF maps some names (e.g. arial) to its standard fonts
+  var addFontFace = function (fontFace) {
+    var fontStyle = fontFace.weight + fontFace.style;
+    for (var i = 0; !fontFace.fontName; i++) {
+      var fontName = "svg2pdf-" + fontFace.family + (i > 0 ? "-" + i : "");
+      var postScriptName = fontName + "-" + fontStyle;
+      if (!_pdf.existsFileInVFS(postScriptName)) {
+        _pdf.addFileToVFS(postScriptName, fontFace.data);
+        _pdf.addFont(postScriptName, fontName, fontStyle);
+        // jsPDF embeds a subset of the font with a mapping back to unicode only for this encoding
+        _pdf.internal.getFont(fontName, fontStyle).encoding = "MacRomanEncoding";
+        fontFace.fontName = fontName;
+      } else if (_pdf.getFileFromVFS(postScriptName) === fontFace.data) {
+        fontFace.fontName = fontName;
       }
     }
+    return {fontName: fontFace.fontName, fontStyle: fontStyle};
+  };
+
+  // resolves the font-family fallback list to the first family that has an embeddable font face, is generic, has a
+  // standard substitute or is known to jsPDF. Returns the jsPDF font name (undefined to keep the current font) and
+  // style
+  var resolveFont = function (attributeState) {
+    var weight = parseFontWeight(attributeState.values["font-weight"]);
+    var style = String(attributeState.values["font-style"]).trim().toLowerCase().split(/\s+/)[0];
+    // the standard fonts have a normal and a bold face, which also serve for lighter and heavier weights, and their
+    // italic faces are used for oblique text as well
+    var bold = weight > 500;
+    var italic = style === "italic" || style === "oblique";
+    var fontStyle = bold ? (italic ? "bolditalic" : "bold") : (italic ? "italic" : "normal");
+
+    var fontFamily = attributeState.values["font-family"];
+    var families = fontFamily ? parseFontFamilies(fontFamily) : [];
+    var fontList = _pdf.getFontList();
+    for (var i = 0; i < families.length; i++) {
+      var family = families[i].name.toLowerCase();
+
+      var fontFace = matchFontFace(family, weight, style);
+      if (fontFace) {
+        return addFontFace(fontFace);
+      }
 
-    var fontStyle = getAttribute(node, "font-style");
-    if (fontStyle) {
-      if (fontStyle === "italic") {
-        fontType += "italic";
+      if (!families[i].quoted && genericFontFamilies.hasOwnProperty(family)) {
+        return {fontName: genericFontFamilies[family], fontStyle: fontStyle};
       }
+      if (standardFontSubstitutes.hasOwnProperty(family)) {
+        return {fontName: standardFontSubstitutes[family], fontStyle: fontStyle};
+      }
+
+      for (var fontName in fontList) {
+        if (fontList.hasOwnProperty(fontName) && fontName.toLowerCase() === family) {
+          var styles = fontList[fontName];
+          return {
+            fontName: fontName,
+            fontStyle: styles.indexOf(fontStyle) >= 0 ? fontStyle : styles.indexOf("normal") >= 0 ? "normal" : styles[0]
+          };
+        }
+      }
+    }
+    return {fontName: void 0, fontStyle: fontStyle};
+  };
+
+  function setTextProperties(attributeState, fillRGB) {
+    var font = resolveFont(attributeState);
+    _pdf.setFont(font.fontName, font.fontStyle);
+
+    if (fillRGB && fillRGB.ok) {
+      _pdf.setTextColor(fillRGB.r, fillRGB.g, fillRGB.b);
     }
-    _pdf.setFontType(fontType);
 
     var pdfFontSize = 16;
-    var fontSize = getAttribute(node, "font-size");
+    var fontSize = attributeState.values["font-size"];
     if (fontSize) {
       pdfFontSize = parseFloat(fontSize);
       _pdf.setFontSize(pdfFontSize);
@@ -1147,14 +3678,39 @@ SOFTWARE.
    * @param defs The defs map holding all svg nodes that can be referenced
    * @param svgIdPrefix The current id prefix
    * @param withinDefs True iff we are top-level within a defs node, so the target can be switched to an pdf form object
+   * @param parentAttributeState The attribute state of the parent node, from which properties are inherited
    */
-  var renderNode = function (node, contextTransform, defs, svgIdPrefix, withinDefs) {
+  var renderNode = function (node, contextTransform, defs, svgIdPrefix, withinDefs, parentAttributeState) {
+    // elements that are never rendered and defs that have already been rendered by findAndRenderDefs
+    if (nodeIs(node, "style,title,desc,metadata,script") || node.svg2pdfRendered) {
+      return;
+    }
+
+    // elements (and their children) that are not displayed or whose conditions are not fulfilled. This doesn't apply to
+    // elements that are only rendered by reference
+    if (!nodeIs(node, "lineargradient,radialgradient,pattern,clippath,mask,marker,symbol")
+        && (getAttribute(node, "display") === "none" || !testConditions(node))) {
+      return;
+    }
+
+    var attributeState = computeAttributeState(node, parentAttributeState);
+
+    // hidden graphics elements are not drawn, while hidden containers and text are processed, as their children may be
+    // visible
+    if (attributeState.values["visibility"] !== "visible"
+        && nodeIs(node, "path,rect,ellipse,line,circle,polygon,polyline,image")) {
+      return;
+    }
+
     var tfMatrix,
         hasFillColor = false,
         fillRGB = null,
         colorMode = null,
         fillUrl = null,
         fillData = null,
+        strokeRGB = null,
+        strokeUrl = null,
+        strokeData = null,
         bBox;
 
     //
@@ -1162,14 +3718,25 @@ SOFTWARE.
     //
 
     // if we are within a defs node, start a new pdf form object and draw this node and all children on that instead
-    // of the top-level page
-    var targetIsFormObject = withinDefs && !nodeIs(node, "lineargradient,radialgradient,pattern");
+    // of the top-level page. Symbols and markers are always drawn on form objects, as they are only rendered by
+    // reference
+    var targetIsFormObject = (withinDefs || nodeIs(node, "symbol,marker"))
+        && !nodeIs(node, "lineargradient,radialgradient,pattern,clippath,mask");
     if (targetIsFormObject) {
 
+      // remember the inherited properties the form object is drawn with, so use nodes can check if they match
+      node.svg2pdfParentAttributeState = parentAttributeState;
+
       // the transformations directly at the node are written to the pdf form object transformation matrix
       tfMatrix = computeNodeTransform(node);
       bBox = getUntransformedBBox(node);
 
+      // markers are clipped to their viewport unless their overflow is visible
+      var overflow = getAttribute(node, "overflow");
+      if (nodeIs(node, "marker") && (overflow === "visible" || overflow === "auto")) {
+        bBox = [-100000, -100000, 200000, 200000];
+      }
+
       _pdf.beginFormObject(bBox[0], bBox[1], bBox[2], bBox[3], tfMatrix);
 
       // continue without transformation and set withinDefs to false to prevent child nodes from starting new form objects
@@ -1181,93 +3748,51 @@ SOFTWARE.
       _pdf.saveGraphicsState();
     }
 
+    // the clipping region is part of the graphics state, so it is reset together with it
+    applyClipPath(node, node, tfMatrix, defs, svgIdPrefix);
+    applyMask(node, tfMatrix, defs, svgIdPrefix, attributeState);
+
     //
     // extract fill and stroke mode
     //
 
     // fill mode
-    if (nodeIs(node, "g,path,rect,text,ellipse,line,circle,polygon")) {
+    if (nodeIs(node, "path,rect,text,ellipse,line,circle,polygon,polyline")) {
       function setDefaultColor() {
         fillRGB = new RGBColor("rgb(0, 0, 0)");
         hasFillColor = true;
         colorMode = "F";
       }
 
-      var fillColor = getAttribute(node, "fill");
-      if (fillColor) {
+      var fillColor = attributeState.values["fill"];
+      if (fillColor !== "none") {
         var url = iriReference.exec(fillColor);
         if (url) {
-          // probably a gradient (or something unsupported)
+          // probably a gradient or pattern (or something unsupported)
           fillUrl = svgIdPrefix.get() + url[1];
           var fill = getFromDefs(fillUrl, defs);
-          if (fill && nodeIs(fill, "lineargradient,radialgradient")) {
-
-            // matrix to convert between gradient space and user space
-            // for "userSpaceOnUse" this is the current transformation: tfMatrix
-            // for "objectBoundingBox" or default, the gradient gets scaled and transformed to the bounding box
-            var gradientUnitsMatrix = tfMatrix;
-            if (!fill.hasAttribute("gradientUnits")
-                || fill.getAttribute("gradientUnits").toLowerCase() === "objectboundingbox") {
-              bBox || (bBox = getUntransformedBBox(node));
-              gradientUnitsMatrix = new _pdf.Matrix(bBox[2], 0, 0, bBox[3], bBox[0], bBox[1]);
-
-              var nodeTransform = computeNodeTransform(node);
-              gradientUnitsMatrix = _pdf.matrixMult(gradientUnitsMatrix, nodeTransform);
-            }
-
-            // matrix that is applied to the gradient before any other transformations
-            var gradientTransform = parseTransform(fill.getAttribute("gradientTransform"));
-
-            fillData = _pdf.matrixMult(gradientTransform, gradientUnitsMatrix);
-          } else if (fill && nodeIs(fill, "pattern")) {
-            var fillBBox, y, width, height, x;
-            fillData = {};
-
-            var patternUnitsMatrix = _pdf.unitMatrix;
-            if (!fill.hasAttribute("patternUnits")
-                || fill.getAttribute("patternUnits").toLowerCase() === "objectboundingbox") {
-              bBox || (bBox = getUntransformedBBox(node));
-              patternUnitsMatrix = new _pdf.Matrix(1, 0, 0, 1, bBox[0], bBox[1]);
-
-              // TODO: slightly inaccurate (rounding errors? line width bBoxes?)
-              fillBBox = getUntransformedBBox(fill);
-              x = fillBBox[0] * bBox[0];
-              y = fillBBox[1] * bBox[1];
-              width = fillBBox[2] * bBox[2];
-              height = fillBBox[3] * bBox[3];
-              fillData.boundingBox = [x, y, x + width, y + height];
-              fillData.xStep = width;
-              fillData.yStep = height;
+          fillData = fill && !nodeIs(node, "text")
+              ? getPaintServerData(fill, node, getUntransformedBBox(node, true), tfMatrix)
+              : null;
+          if (fillData) {
+            // gradients are painted after clipping to the shape, patterns are filled like colors
+            if (nodeIs(fill, "pattern")) {
+              colorMode = "F";
             }
-
-            var patternContentUnitsMatrix = _pdf.unitMatrix;
-            if (fill.hasAttribute("patternContentUnits")
-                && fill.getAttribute("patternContentUnits").toLowerCase() === "objectboundingbox") {
-              bBox || (bBox = getUntransformedBBox(node));
-              patternContentUnitsMatrix = new _pdf.Matrix(bBox[2], 0, 0, bBox[3], 0, 0);
-
-              fillBBox = fillData.boundingBox || getUntransformedBBox(fill);
-              x = fillBBox[0] / bBox[0];
-              y = fillBBox[1] / bBox[1];
-              width = fillBBox[2] / bBox[2];
-              height = fillBBox[3] / bBox[3];
-              fillData.boundingBox = [x, y, x + width, y + height];
-              fillData.xStep = width;
-              fillData.yStep = height;
-            }
-
-            fillData.matrix = _pdf.matrixMult(
-                _pdf.matrixMult(patternContentUnitsMatrix, patternUnitsMatrix), tfMatrix);
-
-            colorMode = "F";
           } else {
-            // unsupported fill argument (e.g. patterns) -> fill black
+            // unsupported or missing paint server -> use the fallback color or fill black
             fillUrl = fill = null;
-            setDefaultColor();
+            fillRGB = parseColor(fillColor.replace(iriReference, "").trim(), attributeState.values["color"]);
+            if (fillRGB.ok) {
+              hasFillColor = true;
+              colorMode = "F";
+            } else {
+              setDefaultColor();
+            }
           }
         } else {
           // plain color
-          fillRGB = parseColor(fillColor);
+          fillRGB = parseColor(fillColor, attributeState.values["color"]);
           if (fillRGB.ok) {
             hasFillColor = true;
             colorMode = 'F';
@@ -1275,114 +3800,134 @@ SOFTWARE.
             colorMode = null;
           }
         }
-      } else {
-        // if no fill attribute is provided the default fill color is black
-        setDefaultColor();
-      }
-
-      // opacity is realized via a pdf graphics state
-      var opacity = 1.0;
-      var nodeOpacity = node.getAttribute("opacity") || node.getAttribute("fill-opacity");
-      if (nodeOpacity) {
-        opacity *= parseFloat(nodeOpacity);
       }
-      if (fillRGB && typeof fillRGB.a === "number") {
-        opacity *= fillRGB.a;
-      }
-      _pdf.setGState(new _pdf.GState({opacity: opacity}));
-    }
 
-    if (nodeIs(node, "g,path,rect,ellipse,line,circle,polygon")) {
       // text has no fill color, so don't apply it until here
-      if (hasFillColor) {
+      if (hasFillColor && !nodeIs(node, "text")) {
         _pdf.setFillColor(fillRGB.r, fillRGB.g, fillRGB.b);
       }
 
       // stroke mode
-      var strokeColor = node.getAttribute('stroke');
-      if (strokeColor) {
-        var strokeWidth;
-        if (node.hasAttribute("stroke-width")) {
-          strokeWidth = Math.abs(parseFloat(node.getAttribute('stroke-width')));
-          _pdf.setLineWidth(strokeWidth);
-        }
-        var strokeRGB = new RGBColor(strokeColor);
-        if (strokeRGB.ok) {
-          _pdf.setDrawColor(strokeRGB.r, strokeRGB.g, strokeRGB.b);
-          if (strokeWidth !== 0) {
-            // pdf spec states: "A line width of 0 denotes the thinnest line that can be rendered at device resolution:
-            // 1 device pixel wide". SVG, however, does not draw zero width lines.
-            colorMode = (colorMode || "") + "D";
+      var strokeColor = attributeState.values["stroke"];
+      if (strokeColor !== "none") {
+        var strokeWidth = setStrokeProperties(node, attributeState);
+        if (iriReference.test(strokeColor)) {
+          // text is stroked chunk by chunk, so it resolves paint servers itself
+          if (!nodeIs(node, "text")) {
+            strokeUrl = svgIdPrefix.get() + iriReference.exec(strokeColor)[1];
+            var stroke = getFromDefs(strokeUrl, defs);
+            strokeData = stroke ? getPaintServerData(stroke, node, getUntransformedBBox(node, true), tfMatrix) : null;
+            if (!strokeData) {
+              // unsupported or missing paint server -> use the fallback color
+              strokeUrl = null;
+              strokeRGB = parseColor(strokeColor.replace(iriReference, "").trim(), attributeState.values["color"]);
+            }
           }
+        } else {
+          strokeRGB = parseColor(strokeColor, attributeState.values["color"]);
         }
-        if (node.hasAttribute("stroke-linecap")) {
-          _pdf.setLineCap(node.getAttribute("stroke-linecap"));
-        }
-        if (node.hasAttribute("stroke-linejoin")) {
-          _pdf.setLineJoin(node.getAttribute("stroke-linejoin"));
-        }
-        if (node.hasAttribute("stroke-dasharray")) {
-          _pdf.setLineDashPattern(
-              parseFloats(node.getAttribute("stroke-dasharray")),
-              parseInt(node.getAttribute("stroke-dashoffset")) || 0
-          );
-        }
-        if (node.hasAttribute("stroke-miterlimit")) {
-          _pdf.setLineMiterLimit(parseFloat(node.getAttribute("stroke-miterlimit")));
+        if (strokeWidth === 0) {
+          // pdf spec states: "A line width of 0 denotes the thinnest line that can be rendered at device resolution:
+          // 1 device pixel wide". SVG, however, does not draw zero width lines.
+          strokeUrl = null;
+        } else if (strokeRGB && strokeRGB.ok) {
+          _pdf.setDrawColor(strokeRGB.r, strokeRGB.g, strokeRGB.b);
+          colorMode = (colorMode || "") + "D";
         }
       }
+
+      // the even-odd rule has its own fill operators. Only shapes with arbitrary outlines are affected by the rule
+      var evenOdd = nodeIs(node, "path,polygon,polyline") && attributeState.values["fill-rule"] === "evenodd";
+      if (evenOdd && colorMode === "F") {
+        colorMode = "f*";
+      } else if (evenOdd && colorMode === "FD") {
+        colorMode = "B*";
+      }
+    }
+
+    // opacity is realized via a pdf graphics state with separate alpha values for filling (ca) and stroking (CA)
+    if (nodeIs(node, "path,rect,text,ellipse,line,circle,polygon,polyline,image")) {
+      var fillOpacity = attributeState.opacity;
+      var strokeOpacity = attributeState.opacity;
+      if (!nodeIs(node, "image")) {
+        fillOpacity *= parseFraction(attributeState.values["fill-opacity"], 1);
+        strokeOpacity *= parseFraction(attributeState.values["stroke-opacity"], 1);
+      }
+      if (fillRGB) {
+        fillOpacity *= fillRGB.a;
+      }
+      if (strokeRGB) {
+        strokeOpacity *= strokeRGB.a;
+      }
+      _pdf.setGState(new _pdf.GState({opacity: fillOpacity, "stroke-opacity": strokeOpacity}));
+    }
+
+    // gradients are painted within the clipped shape before the stroke and markers are drawn
+    if (fillUrl && nodeIs(fill, "lineargradient,radialgradient")) {
+      if (!nodeIs(node, "line")) {
+        _pdf.saveGraphicsState();
+        putLines(getShapeLines(node, tfMatrix));
+        _pdf.internal.write(evenOdd ? "W*" : "W", "n");
+        paint(fill, fillUrl, fillData);
+        _pdf.restoreGraphicsState();
+      }
+      fillUrl = fillData = null;
     }
 
-    setTextProperties(node, fillRGB);
+    // containers with an opacity are drawn to a transparency group, so their children don't show through each other
+    var groupOpacity = nodeIs(node, "svg,g,a,switch,use") ? parseFraction(getAttribute(node, "opacity"), 1) : 1;
+    var isGroup = groupOpacity < 1;
+    isGroup && beginStream();
 
     // do the actual drawing
     switch (node.tagName.toLowerCase()) {
       case 'svg':
-        svg(node, tfMatrix, defs, svgIdPrefix, withinDefs);
+        svg(node, tfMatrix, defs, svgIdPrefix, withinDefs, attributeState);
         break;
       case 'g':
-        findAndRenderDefs(node, tfMatrix, defs, svgIdPrefix, withinDefs);
-      case 'a':
+        findAndRenderDefs(node, tfMatrix, defs, svgIdPrefix, withinDefs, attributeState);
+        renderChildren(node, tfMatrix, defs, svgIdPrefix, withinDefs, attributeState);
+        break;
+
+      case "symbol":
       case "marker":
-        renderChildren(node, tfMatrix, defs, svgIdPrefix, withinDefs);
+        // symbols and markers are only rendered as form objects, which are instantiated by use elements and shapes
+        defs[svgIdPrefix.get() + node.getAttribute("id")] = node;
+      case 'a':
+        renderChildren(node, tfMatrix, defs, svgIdPrefix, withinDefs, attributeState);
+        break;
+
+      case "switch":
+        switchNode(node, tfMatrix, defs, svgIdPrefix, withinDefs, attributeState);
         break;
 
       case 'defs':
-        renderChildren(node, tfMatrix, defs, svgIdPrefix, true);
+        renderChildren(node, tfMatrix, defs, svgIdPrefix, true, attributeState);
         break;
 
       case 'use':
-        use(node, tfMatrix, svgIdPrefix);
+        use(node, tfMatrix, defs, svgIdPrefix, attributeState);
         break;
 
       case 'line':
-        line(node, tfMatrix);
+        // lines are never filled
+        colorMode && colorMode.indexOf("D") >= 0 && line(node, tfMatrix);
         break;
 
       case 'rect':
-        _pdf.setCurrentTransformationMatrix(tfMatrix);
-        rect(node, colorMode, fillUrl, fillData);
-        break;
-
       case 'ellipse':
-        _pdf.setCurrentTransformationMatrix(tfMatrix);
-        ellipse(node, colorMode, fillUrl, fillData);
-        break;
-
       case 'circle':
-        _pdf.setCurrentTransformationMatrix(tfMatrix);
-        circle(node, colorMode, fillUrl, fillData);
+        drawShape(node, tfMatrix, colorMode, fillUrl, fillData);
         break;
+
       case 'text':
-        text(node, tfMatrix, hasFillColor, fillRGB);
+        text(node, tfMatrix, defs, svgIdPrefix, attributeState, fillRGB);
         break;
 
       case 'path':
-        path(node, tfMatrix, svgIdPrefix, colorMode, fillUrl, fillData);
-        break;
-
       case 'polygon':
-        polygon(node, tfMatrix, colorMode, fillUrl, fillData);
+      case 'polyline':
+        drawShape(node, tfMatrix, colorMode, fillUrl, fillData);
         break;
 
       case 'image':
@@ -1391,30 +3936,36 @@ SOFTWARE.
         break;
 
       case "lineargradient":
-        putGradient(node, "axial", [
-          node.getAttribute("x1"),
-          node.getAttribute("y1"),
-          node.getAttribute("x2"),
-          node.getAttribute("y2")
-        ], defs, svgIdPrefix);
-        break;
-
       case "radialgradient":
-        putGradient(node, "radial", [
-          node.getAttribute("fx") || node.getAttribute("cx"),
-          node.getAttribute("fy") || node.getAttribute("cy"),
-          0,
-          node.getAttribute("cx") || 0,
-          node.getAttribute("cy") || 0,
-          node.getAttribute("r") || 0
-        ], defs, svgIdPrefix);
+        putGradient(node, defs, svgIdPrefix);
         break;
 
       case "pattern":
-        pattern(node, defs, svgIdPrefix);
+        pattern(node, defs, svgIdPrefix, attributeState);
+        break;
+
+      case "clippath":
+      case "mask":
+        // clip paths and masks are applied when they are referenced
+        defs[svgIdPrefix.get() + node.getAttribute("id")] = node;
         break;
     }
 
+    // strokes with gradients or patterns are drawn separately, on top of the fill
+    if (strokeUrl) {
+      paintThroughMask(function () {
+        setStrokeProperties(node, attributeState);
+        drawShape(node, tfMatrix, "D");
+      }, stroke, strokeUrl, strokeData, strokeOpacity);
+    }
+
+    // markers are drawn on top of the fill and stroke
+    if (nodeIs(node, "path,line,polyline,polygon")) {
+      drawMarkers(node, tfMatrix, defs, svgIdPrefix, attributeState);
+    }
+
+    isGroup && putTransparencyGroup(endStream(), groupOpacity);
+
     // close either the formObject or the graphics context
     if (targetIsFormObject) {
       _pdf.endFormObject(svgIdPrefix.get() + node.getAttribute("id"));
@@ -1435,7 +3986,18 @@ SOFTWARE.
     _pdf.saveGraphicsState();
     _pdf.setCurrentTransformationMatrix(new _pdf.Matrix(k, 0, 0, k, xOffset, yOffset));
 
-    renderNode(element.cloneNode(true), _pdf.unitMatrix, {}, new SvgPrefix(""), false);
+    _languages = options.languages
+        || (typeof navigator !== "undefined" && (navigator.languages || [navigator.language]))
+        || [];
+
+    var svgElement = element.cloneNode(true);
+    var fontFaceRules = [];
+    _cssRules = parseStyleSheets(svgElement, fontFaceRules);
+    _fontFaces = getFontFaces(options.fonts || [], fontFaceRules);
+    _textMeasurement = options.textMeasurement || "metrics";
+    collectElementIds(svgElement, null);
+
+    renderNode(svgElement, _pdf.unitMatrix, {}, new SvgPrefix(""), false, new AttributeState());
 
     _pdf.restoreGraphicsState();
 
@@ -1443,17 +4005,14 @@ SOFTWARE.
   };
 
   if (typeof define === "function" && define.amd) {
-    define(["./rgbcolor", "./SvgPath"], function (rgbcolor, svgpath) {
+    define(["./rgbcolor"], function (rgbcolor) {
       RGBColor = rgbcolor;
-      SvgPath = svgpath;
       return svg2pdf;
     });
   } else if (typeof module !== "undefined" && module.exports) {
     RGBColor = require("./rgbcolor.js");
-    SvgPath = require("SvgPath");
     module.exports = svg2pdf;
   } else {
-    SvgPath = global.SvgPath;
     RGBColor = global.RGBColor;
     global.svg2pdf = svg2pdf;
     // for compatibility reasons